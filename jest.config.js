@@ -9,6 +9,7 @@ module.exports = {
       ],
       collectCoverageFrom: [
         'server.js',
+        'lib/**/*.js',
         '!**/node_modules/**',
         '!**/coverage/**'
       ],
@@ -0,0 +1,450 @@
+const express = require('express');
+const {
+  createUserStore,
+  createSessionMiddleware,
+  csrfToken,
+  loginCsrfToken,
+  clearLoginCsrfToken,
+  csrfProtection,
+  createRequireLogin,
+  SESSION_COOKIE
+} = require('./auth');
+const { DEFAULT_LOCALE, localize } = require('./i18n');
+
+const LEADS_PER_PAGE = 50;
+const CSV_COLUMNS = ['id', 'name', 'email', 'phone', 'cohort', 'status', 'createdAt'];
+const LEAD_STATUSES = ['enrolled', 'waitlisted'];
+const ICON_PATTERN = /^fa[sb] fa-([a-z0-9-]+)$/;
+
+/**
+ * Content the dashboard can edit: which content file (and key within it)
+ * holds the items, and the fields of each item. `translated` fields hold one
+ * value per locale, `translatedList` one list per locale (a line each),
+ * `list` a comma-separated list. Keys not listed here are kept as they are.
+ */
+const SECTIONS = {
+  curriculum: {
+    title: 'Curriculum',
+    item: 'Module',
+    file: 'curriculum',
+    ids: true,
+    fields: [
+      { name: 'title', label: 'Title', type: 'translated', required: true, maxLength: 100 },
+      { name: 'description', label: 'Description', type: 'translated', required: true, multiline: true, maxLength: 500 },
+      { name: 'topics', label: 'Topics', hint: 'One per line', type: 'translatedList', maxLength: 100 },
+      { name: 'icon', label: 'Icon', hint: 'e.g. fas fa-code', type: 'icon', required: true },
+      { name: 'weeks', label: 'Weeks', type: 'integer', min: 1, max: 52 },
+      { name: 'tools', label: 'Tools', hint: 'Comma-separated', type: 'list', maxLength: 50 }
+    ]
+  },
+  benefits: {
+    title: 'Benefits',
+    item: 'Benefit',
+    file: 'benefits',
+    ids: true,
+    fields: [
+      { name: 'title', label: 'Title', type: 'translated', required: true, maxLength: 100 },
+      { name: 'description', label: 'Description', type: 'translated', required: true, multiline: true, maxLength: 500 },
+      { name: 'icon', label: 'Icon', hint: 'e.g. fas fa-users', type: 'icon', required: true }
+    ]
+  },
+  stats: {
+    title: 'Stats',
+    item: 'Stat',
+    file: 'site',
+    key: 'stats',
+    fields: [
+      { name: 'label', label: 'Label', type: 'translated', required: true, maxLength: 50 },
+      { name: 'value', label: 'Number', hint: 'Counted up on the page', type: 'number' },
+      { name: 'text', label: 'Text', hint: 'Instead of a number, e.g. 24/7', type: 'text', maxLength: 20 },
+      { name: 'prefix', label: 'Prefix', type: 'text', maxLength: 5 },
+      { name: 'suffix', label: 'Suffix', type: 'text', maxLength: 5 },
+      { name: 'decimals', label: 'Decimals', type: 'integer', min: 0, max: 3 }
+    ],
+    validate: item => ((item.value === undefined) === (item.text === undefined)
+      ? 'give either a number or a text'
+      : null)
+  }
+};
+
+const asString = value => (typeof value === 'string' ? value.trim() : '');
+const isBlank = value => (value !== null && typeof value === 'object'
+  ? Object.values(value).every(isBlank)
+  : asString(value) === '');
+
+const findSection = name => (Object.prototype.hasOwnProperty.call(SECTIONS, name) ? SECTIONS[name] : null);
+
+const slugify = text => text.toLowerCase().normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-|-$/g, '') || 'item';
+
+// Stored value -> form value: strings, or a string per locale
+function toForm(field, value, locales) {
+  if (field.type === 'translated' || field.type === 'translatedList') {
+    const translations = value !== null && typeof value === 'object' && !Array.isArray(value)
+      ? value
+      : { [DEFAULT_LOCALE]: value };
+    return Object.fromEntries(locales.map(({ code }) => {
+      const text = translations[code];
+      return [code, Array.isArray(text) ? text.join('\n') : text || ''];
+    }));
+  }
+  if (field.type === 'list') {
+    return (value || []).join(', ');
+  }
+  return value === undefined || value === null ? '' : String(value);
+}
+
+// Form value -> `{ value }`, or `{ error }`; a blank optional field gives
+// `{ value: undefined }` and is removed from the item
+function fromForm(field, raw, locales, { iconExists }) {
+  const tooLong = text => field.maxLength && text.length > field.maxLength;
+
+  if (field.type === 'translated' || field.type === 'translatedList') {
+    const translations = {};
+    for (const { code, name } of locales) {
+      const text = asString(raw && raw[code]);
+      if (field.type === 'translatedList') {
+        const items = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        if (items.some(tooLong)) {
+          return { error: `${name} lines must be at most ${field.maxLength} characters` };
+        }
+        if (items.length > 0) {
+          translations[code] = items;
+        }
+      } else if (tooLong(text)) {
+        return { error: `${name} must be at most ${field.maxLength} characters` };
+      } else if (text) {
+        translations[code] = text;
+      }
+    }
+    if (!(DEFAULT_LOCALE in translations)) {
+      const hasOthers = Object.keys(translations).length > 0;
+      return field.required || hasOthers ? { error: 'the English text is required' } : { value: undefined };
+    }
+    return { value: translations };
+  }
+
+  const text = asString(raw);
+  if (!text) {
+    return field.required ? { error: 'required' } : { value: undefined };
+  }
+
+  switch (field.type) {
+    case 'list': {
+      const items = text.split(',').map(item => item.trim()).filter(Boolean);
+      return items.some(tooLong)
+        ? { error: `items must be at most ${field.maxLength} characters` }
+        : { value: items };
+    }
+    case 'integer':
+    case 'number': {
+      const number = Number(text);
+      if (!Number.isFinite(number) || (field.type === 'integer' && !Number.isInteger(number))) {
+        return { error: `expected ${field.type === 'integer' ? 'a whole number' : 'a number'}` };
+      }
+      if ((field.min !== undefined && number < field.min) || (field.max !== undefined && number > field.max)) {
+        return { error: `expected a number from ${field.min} to ${field.max}` };
+      }
+      return { value: number };
+    }
+    case 'icon': {
+      const match = text.match(ICON_PATTERN);
+      if (!match) {
+        return { error: 'expected "fas fa-<name>" or "fab fa-<name>"' };
+      }
+      if (!iconExists(match[1])) {
+        return { error: `"${text}" is not a vendored icon (see scripts/vendor-assets.js)` };
+      }
+      return { value: text };
+    }
+    default:
+      return tooLong(text) ? { error: `at most ${field.maxLength} characters` } : { value: text };
+  }
+}
+
+/**
+ * Apply a submitted content form to the current `items`. Each row carries the
+ * `key` of the item it edits (its id, or its position for sections without
+ * ids); rows without one are new items, and a blank new row is ignored.
+ * Returns `{ items, errors }`; `errors` lists problems as readable sentences.
+ */
+function applyContentForm(section, rows, current, { locales, iconExists }) {
+  const items = [];
+  const errors = [];
+  const taken = new Set(section.ids ? current.map(item => item.id) : []);
+
+  rows.forEach((row, position) => {
+    let original;
+    if (row.key !== '') {
+      original = section.ids ? current.find(item => item.id === row.key) : current[Number(row.key)];
+    }
+    if (row.remove || (!original && isBlank(row.fields))) {
+      return;
+    }
+
+    const item = { ...original };
+    section.fields.forEach((field) => {
+      const { value, error } = fromForm(field, row.fields[field.name], locales, { iconExists });
+      if (error) {
+        errors.push(`${section.item} ${position + 1}, ${field.label.toLowerCase()}: ${error}`);
+      } else if (value === undefined) {
+        delete item[field.name];
+      } else {
+        item[field.name] = value;
+      }
+    });
+
+    const problem = section.validate && section.validate(item);
+    if (problem) {
+      errors.push(`${section.item} ${position + 1}: ${problem}`);
+    }
+
+    if (section.ids && !original) {
+      const base = slugify(asString(row.fields.title && row.fields.title[DEFAULT_LOCALE]));
+      let id = base;
+      for (let n = 2; taken.has(id); n += 1) {
+        id = `${base}-${n}`;
+      }
+      taken.add(id);
+      items.push({ id, ...item });
+    } else {
+      items.push(item);
+    }
+  });
+
+  return { items, errors };
+}
+
+// Submitted rows as the form shows them; `items[i][...]` may arrive as an
+// array or, past qs's array limit, an object keyed by index
+function submittedRows(section, body) {
+  const raw = body.items !== null && typeof body.items === 'object' ? body.items : {};
+  return Object.keys(raw)
+    .sort((a, b) => Number(a) - Number(b))
+    .map(index => raw[index])
+    .filter(row => row !== null && typeof row === 'object')
+    .map(row => ({
+      key: asString(row.key),
+      remove: Boolean(row.remove),
+      fields: Object.fromEntries(section.fields.map(field => [field.name, row[field.name]]))
+    }));
+}
+
+function storedRows(section, items, locales) {
+  return items.map((item, index) => ({
+    key: section.ids ? item.id : String(index),
+    remove: false,
+    fields: Object.fromEntries(section.fields.map(field => [field.name, toForm(field, item[field.name], locales)]))
+  }));
+}
+
+function blankRow(section, locales) {
+  return {
+    key: '',
+    remove: false,
+    fields: Object.fromEntries(section.fields.map(field => [field.name, toForm(field, undefined, locales)]))
+  };
+}
+
+// One CSV cell: quoted when needed, and defused when a spreadsheet would
+// read it as a formula
+function csvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(records, columns = CSV_COLUMNS) {
+  return [columns, ...records.map(record => columns.map(column => record[column]))]
+    .map(row => row.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+// Leads matching `q` (name, email or phone), `cohort` and `status`, newest
+// first; leads from before the waitlist existed are enrolled
+function filterLeads(enrollments, { q = '', cohort = '', status = '' } = {}) {
+  const needle = q.toLowerCase();
+  return enrollments
+    .map(lead => ({ ...lead, status: lead.status || 'enrolled' }))
+    .filter(lead => !cohort || lead.cohort === cohort)
+    .filter(lead => !status || lead.status === status)
+    .filter(lead => !needle || [lead.name, lead.email, lead.phone].some(value => String(value || '').toLowerCase().includes(needle)))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Router for the admin dashboard, mounted at /admin: sign-in, the enrollment
+ * leads (searchable, exported as CSV) and forms for the content the landing
+ * page shows. Pages need a user from the `users` collection (see
+ * scripts/create-admin-user.js); sessions and users live in `store`, and
+ * every form carries a CSRF token. Responses are never cached.
+ */
+function createAdminRouter({ store, content, assets, i18n, logger, secret, secure = false }) {
+  const router = express.Router();
+  const users = createUserStore(store);
+  const requireLogin = createRequireLogin({ users });
+  const iconExists = name => assets.has(`vendor/icons/${name}.svg`);
+  const { locales } = i18n;
+
+  router.use((req, res, next) => {
+    res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex, nofollow' });
+    res.locals.adminPath = req.baseUrl;
+    res.locals.sections = Object.entries(SECTIONS).map(([name, { title }]) => ({ name, title }));
+    next();
+  });
+  router.use(createSessionMiddleware({ store, secret, secure }));
+  router.use(express.urlencoded({ extended: true, limit: '100kb' }));
+  router.use(csrfProtection);
+
+  const renderLogin = (res, status, locals = {}) => res.status(status).render('admin/login', {
+    title: 'Sign in',
+    username: '',
+    error: null,
+    ...locals
+  });
+
+  router.get('/login', (req, res) => {
+    if (req.session.userId) {
+      return res.redirect(`${req.baseUrl}/leads`);
+    }
+    renderLogin(res, 200, { csrfToken: loginCsrfToken(req, res, { secure }) });
+  });
+
+  router.post('/login', async (req, res, next) => {
+    const username = asString(req.body.username);
+    try {
+      const user = await users.authenticate(username, req.body.password);
+      if (!user) {
+        logger.warn('admin sign-in failed', { requestId: req.id, username });
+        return renderLogin(res, 401, { username, error: 'Incorrect username or password.' });
+      }
+
+      // A fresh session ID on sign-in, so a planted cookie cannot be reused
+      await new Promise((resolve, reject) => req.session.regenerate(err => (err ? reject(err) : resolve())));
+      req.session.userId = user.id;
+      req.session.username = user.username;
+      csrfToken(req);
+      clearLoginCsrfToken(req, res);
+      logger.info('admin signed in', { requestId: req.id, username: user.username });
+      res.redirect(`${req.baseUrl}/leads`);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/logout', (req, res, next) => {
+    req.session.destroy((err) => {
+      if (err) {
+        return next(err);
+      }
+      res.clearCookie(SESSION_COOKIE);
+      res.redirect(`${req.baseUrl}/login`);
+    });
+  });
+
+  router.use(requireLogin);
+
+  router.get('/', (req, res) => res.redirect(`${req.baseUrl}/leads`));
+
+  const findLeads = async (req) => {
+    const query = { q: asString(req.query.q), cohort: asString(req.query.cohort), status: asString(req.query.status) };
+    const [enrollments, cohorts] = await Promise.all([store.read('enrollments'), content.get('cohorts')]);
+    return { query, leads: filterLeads(enrollments, query), cohorts: localize(cohorts, DEFAULT_LOCALE) };
+  };
+
+  router.get('/leads', async (req, res, next) => {
+    try {
+      const { query, leads, cohorts } = await findLeads(req);
+      const pages = Math.max(1, Math.ceil(leads.length / LEADS_PER_PAGE));
+      const page = Math.min(pages, Math.max(1, Number.parseInt(req.query.page, 10) || 1));
+      const search = new URLSearchParams(Object.entries(query).filter(([, value]) => value));
+
+      res.render('admin/leads', {
+        title: 'Leads',
+        query,
+        search: search.toString(),
+        cohorts,
+        statuses: LEAD_STATUSES,
+        cohortName: id => (cohorts.find(cohort => cohort.id === id) || { label: id }).label,
+        total: leads.length,
+        leads: leads.slice((page - 1) * LEADS_PER_PAGE, page * LEADS_PER_PAGE),
+        page,
+        pages
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/leads.csv', async (req, res, next) => {
+    try {
+      const { leads } = await findLeads(req);
+      const date = new Date().toISOString().slice(0, 10);
+      logger.info('leads exported', { requestId: req.id, username: req.user.username, count: leads.length });
+      res.attachment(`leads-${date}.csv`);
+      res.type('text/csv; charset=utf-8').send(toCsv(leads));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  const readSection = async (section) => {
+    const document = await content.get(section.file);
+    return { document, items: section.key ? document[section.key] || [] : document };
+  };
+
+  const renderSection = (req, res, status, name, rows, locals = {}) => res.status(status).render('admin/content', {
+    title: SECTIONS[name].title,
+    name,
+    section: SECTIONS[name],
+    locales,
+    rows,
+    errors: [],
+    saved: false,
+    ...locals
+  });
+
+  router.get('/content/:name', async (req, res, next) => {
+    const section = findSection(req.params.name);
+    if (!section) {
+      return next();
+    }
+    try {
+      const { items } = await readSection(section);
+      const rows = [...storedRows(section, items, locales), blankRow(section, locales)];
+      renderSection(req, res, 200, req.params.name, rows, { saved: req.query.saved === '1' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/content/:name', async (req, res, next) => {
+    const section = findSection(req.params.name);
+    if (!section) {
+      return next();
+    }
+    try {
+      const { document, items: current } = await readSection(section);
+      const rows = submittedRows(section, req.body);
+      const { items, errors } = applyContentForm(section, rows, current, { locales, iconExists });
+
+      if (errors.length > 0) {
+        return renderSection(req, res, 400, req.params.name, rows, { errors });
+      }
+
+      await content.put(section.file, section.key ? { ...document, [section.key]: items } : items);
+      logger.info('content updated', { requestId: req.id, username: req.user.username, content: req.params.name });
+      res.redirect(303, `${req.baseUrl}/content/${req.params.name}?saved=1`);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { SECTIONS, applyContentForm, filterLeads, toCsv, createAdminRouter };
@@ -0,0 +1,248 @@
+const express = require('express');
+const { sendProblem } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Daily counts older than this are dropped
+const RETENTION_DAYS = 365;
+const DEFAULT_SUMMARY_DAYS = 30;
+// Distinct names kept per event type and day; further names are counted under
+// OTHER, so made-up names cannot grow the file without bound
+const MAX_NAMES_PER_DAY = 50;
+const OTHER = '(other)';
+// Events are counted in memory and written to the store at most this often
+const FLUSH_INTERVAL_MS = 10 * 1000;
+
+// Event types and the `name` each takes, so counters stay few and anonymous
+const EVENTS = {
+  // Path of the page viewed
+  pageview: /^\/[\w./-]{0,99}$/,
+  // Id of the section scrolled into view
+  section: /^[a-z][a-z0-9-]{0,39}$/,
+  // Id of the section holding the call to action clicked
+  cta: /^[a-z][a-z0-9-]{0,39}$/,
+  // How far down the page the visitor got, in percent
+  scroll: /^(25|50|75|100)$/
+};
+const SCROLL_DEPTHS = ['25', '50', '75', '100'];
+
+const isoDate = date => date.toISOString().slice(0, 10);
+
+// Do Not Track or Global Privacy Control
+const trackingRefused = req => req.get('DNT') === '1' || req.get('Sec-GPC') === '1';
+
+/**
+ * `{ type, name }` from an event payload, or null when the type is unknown or
+ * the name does not fit it. Beacons arrive as text/plain, so `body` may be the
+ * JSON still as a string.
+ */
+function parseEvent(body) {
+  let event = body;
+  if (typeof body === 'string') {
+    try {
+      event = JSON.parse(body);
+    } catch (err) {
+      return null;
+    }
+  }
+  if (!event || typeof event !== 'object' || !Object.prototype.hasOwnProperty.call(EVENTS, event.type)) {
+    return null;
+  }
+  const name = String(event.name);
+  return EVENTS[event.type].test(name) ? { type: event.type, name } : null;
+}
+
+/**
+ * Daily counts, `{ date, type, name, count }` rows, indexed by day, type and
+ * name. `add` adds a count to its row, or to the OTHER row once the type has
+ * MAX_NAMES_PER_DAY names that day. Adds to `rows` in place.
+ */
+function createTally(rows = []) {
+  const index = new Map();
+  // `date type` -> number of distinct names
+  const names = new Map();
+
+  const register = (row) => {
+    index.set(`${row.date}\t${row.type}\t${row.name}`, row);
+    const group = `${row.date}\t${row.type}`;
+    names.set(group, (names.get(group) || 0) + 1);
+  };
+  rows.forEach(register);
+
+  function add({ date, type, name, count = 1 }) {
+    const group = `${date}\t${type}`;
+    const full = (names.get(group) || 0) >= MAX_NAMES_PER_DAY;
+    const row = index.get(`${group}\t${name}`) || (full ? index.get(`${group}\t${OTHER}`) : null);
+    if (row) {
+      row.count += count;
+      return;
+    }
+    const created = { date, type, name: full ? OTHER : name, count };
+    rows.push(created);
+    register(created);
+  }
+
+  return { rows, add };
+}
+
+// Add `counts` (rows as above) to the stored `analytics` rows and drop days
+// past the retention period
+function mergeCounts(rows, counts, now = new Date()) {
+  const tally = createTally(rows);
+  counts.forEach(tally.add);
+
+  const oldest = isoDate(new Date(now.getTime() - RETENTION_DAYS * DAY_MS));
+  const kept = rows.filter(entry => entry.date > oldest);
+  rows.splice(0, rows.length, ...kept);
+}
+
+/**
+ * Counts events in memory and adds them to the `analytics` collection of
+ * `store` in one write, `flushIntervalMs` after the first unwritten event.
+ * `flush()` writes what is pending now; counts that fail to be written are
+ * kept for the next attempt.
+ */
+function createEventCounter({ store, logger, flushIntervalMs = FLUSH_INTERVAL_MS }) {
+  let pending = createTally();
+  let timer = null;
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    const batch = pending.rows;
+    if (batch.length === 0) {
+      return Promise.resolve();
+    }
+
+    pending = createTally();
+    return store.update('analytics', rows => mergeCounts(rows, batch)).catch((err) => {
+      batch.forEach(pending.add);
+      throw err;
+    });
+  }
+
+  function count({ type, name }, now = new Date()) {
+    pending.add({ date: isoDate(now), type, name });
+    if (!timer) {
+      timer = setTimeout(() => {
+        flush().catch((err) => {
+          if (logger) {
+            logger.error('analytics counts not saved', { error: err.message });
+          }
+        });
+      }, flushIntervalMs);
+      timer.unref();
+    }
+  }
+
+  return { count, flush };
+}
+
+// `{ name: count }` for one event type, most frequent first
+function totalsByName(rows, type) {
+  const totals = {};
+  rows.filter(row => row.type === type).forEach((row) => {
+    totals[row.name] = (totals[row.name] || 0) + row.count;
+  });
+  return Object.fromEntries(Object.entries(totals).sort(([, a], [, b]) => b - a));
+}
+
+/**
+ * Report over the `days` days up to and including `now`: page views in total
+ * and per day, views per section, CTA clicks per section and how many visits
+ * reached each scroll depth.
+ */
+function summarize(rows, { days = DEFAULT_SUMMARY_DAYS, now = new Date() } = {}) {
+  const dates = Array.from({ length: days }, (_, i) => isoDate(new Date(now.getTime() - (days - 1 - i) * DAY_MS)));
+  const inRange = rows.filter(row => row.date >= dates[0] && row.date <= dates[dates.length - 1]);
+  const pageViews = inRange.filter(row => row.type === 'pageview');
+  const scroll = totalsByName(inRange, 'scroll');
+
+  return {
+    from: dates[0],
+    to: dates[dates.length - 1],
+    pageViews: pageViews.reduce((sum, row) => sum + row.count, 0),
+    pages: totalsByName(inRange, 'pageview'),
+    sections: totalsByName(inRange, 'section'),
+    ctaClicks: totalsByName(inRange, 'cta'),
+    scrollDepth: Object.fromEntries(SCROLL_DEPTHS.map(depth => [depth, scroll[depth] || 0])),
+    daily: dates.map(date => ({
+      date,
+      pageViews: pageViews.filter(row => row.date === date).reduce((sum, row) => sum + row.count, 0)
+    }))
+  };
+}
+
+/**
+ * Middleware marking requests for the request logger (lib/logger.js) to log
+ * without IP address or user agent. Mounted on /api/events ahead of the body
+ * parsers and rate limits, so beacons they reject are covered too.
+ */
+function anonymousLogging(req, res, next) {
+  res.locals.anonymous = true;
+  next();
+}
+
+/**
+ * Router mounted at /api for first-party analytics.
+ *
+ * - `POST /events` counts one event (see EVENTS) with `counter` (from
+ *   createEventCounter). Only daily totals are kept: no cookies, IP addresses
+ *   or user agents, and requests are logged without them (see
+ *   anonymousLogging). Visitors sending
+ *   Do Not Track or Global Privacy Control are not counted.
+ * - `GET /analytics/summary?days=30` the report built by `summarize`, behind
+ *   the `requireAccess` middleware (e.g. lib/auth.js createRequireApiAccess)
+ */
+function createAnalyticsRouter({ store, counter, requireAccess }) {
+  const router = express.Router();
+
+  router.post('/events', express.text({ limit: '1kb' }), (req, res) => {
+    if (trackingRefused(req)) {
+      return res.status(204).end();
+    }
+
+    const event = parseEvent(req.body);
+    if (!event) {
+      return sendProblem(req, res, {
+        status: 400,
+        detail: `Expected an event of type ${Object.keys(EVENTS).join(', ')} with a valid name`
+      });
+    }
+
+    counter.count(event);
+    res.status(204).end();
+  });
+
+  router.get('/analytics/summary', requireAccess, async (req, res, next) => {
+    const days = req.query.days === undefined ? DEFAULT_SUMMARY_DAYS : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > RETENTION_DAYS) {
+      return sendProblem(req, res, {
+        status: 400,
+        detail: `days must be an integer between 1 and ${RETENTION_DAYS}`
+      });
+    }
+
+    try {
+      // Include the counts not written yet
+      await counter.flush();
+      res.set('Cache-Control', 'no-store');
+      res.json(summarize(await store.read('analytics'), { days }));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  EVENTS,
+  MAX_NAMES_PER_DAY,
+  OTHER,
+  parseEvent,
+  mergeCounts,
+  summarize,
+  createEventCounter,
+  anonymousLogging,
+  createAnalyticsRouter
+};
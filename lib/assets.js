@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const HASH_LENGTH = 10;
+
+// Hashed URLs never change content, so clients and CDNs may keep them forever
+const IMMUTABLE = 'public, max-age=31536000, immutable';
+// Everything else is cached but revalidated against its ETag on every use
+const REVALIDATE = 'no-cache';
+
+// Precompressed siblings (`styles.css.br`, `styles.css.gz`), in order of preference
+const PRECOMPRESSED = [
+  { encoding: 'br', suffix: '.br' },
+  { encoding: 'gzip', suffix: '.gz' }
+];
+const PRECOMPRESSED_SUFFIX = /\.(br|gz)$/;
+
+// Text formats worth compressing ahead of time; HTML pages are rewritten at
+// startup and compressed per response instead
+const COMPRESSIBLE = ['.css', '.js', '.json', '.svg', '.txt', '.xml', '.webmanifest'];
+const MIN_COMPRESS_BYTES = 1024;
+
+// `href="styles.css"`, `src="/script.js"`, ... in static HTML pages
+const REFERENCE = /\b(href|src)="(\/?)([^"#?:]+)"/g;
+// `url(fonts/inter.woff2)`, `url('icons/rocket.svg')`, ... in stylesheets;
+// absolute and external URLs are left alone
+const STYLESHEET_REFERENCE = /url\((['"]?)([^'"()/#?:][^'"()#?:]*)\1\)/g;
+
+function listFiles(dir, prefix = '') {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+
+  return entries.flatMap((entry) => {
+    const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+    return entry.isDirectory() ? listFiles(path.join(dir, entry.name), name) : [name];
+  });
+}
+
+function fingerprint(name, contents) {
+  const hash = crypto.createHash('sha256').update(contents).digest('hex').slice(0, HASH_LENGTH);
+  const ext = path.posix.extname(name);
+  return `${name.slice(0, name.length - ext.length)}.${hash}${ext}`;
+}
+
+const DECOMPRESS = {
+  br: zlib.brotliDecompressSync,
+  gzip: zlib.gunzipSync
+};
+
+// A precompressed sibling is only used while it still matches the contents
+// it was made from
+function matches(file, encoding, contents) {
+  try {
+    return DECOMPRESS[encoding](fs.readFileSync(file)).equals(contents);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Fingerprint every file in `dir` once, at startup: `styles.css` is also
+ * served as `styles.<hash>.css`, where the hash covers the file contents.
+ * Stylesheets have their `url(...)` references to other assets rewritten to
+ * the hashed names first, so fonts and images are fingerprinted too. HTML
+ * pages are not fingerprinted; their asset references are rewritten the same
+ * way. Rewritten files are kept in memory.
+ *
+ * Precompressed `.br`/`.gz` siblings (see `compressAssets`) are noted too,
+ * unless they no longer match the contents served.
+ *
+ * - `url(name)` hashed name for an asset, or `name` when it is not known
+ * - `original(name)` the asset a hashed name refers to, or null
+ * - `has(name)` whether `name` is a fingerprinted asset
+ * - `names()` every fingerprinted asset, by plain name
+ * - `contents(name)` rewritten contents of a stylesheet, or null when the
+ *   file is served as it is on disk
+ * - `encodings(name)` precompressed variants of an asset, `[{ encoding, suffix }]`
+ * - `page(name)` rewritten contents of an HTML page, or null
+ * - `pages()` names of the HTML pages
+ */
+function createAssetManifest(dir) {
+  const files = listFiles(dir);
+  const present = new Set(files);
+  const hashed = new Map();
+  const originals = new Map();
+  const rewritten = new Map();
+  const variants = new Map();
+  const pages = new Map();
+
+  const url = name => hashed.get(name) || name;
+  const isAsset = name => !name.endsWith('.html') && !PRECOMPRESSED_SUFFIX.test(name);
+  const isStylesheet = name => name.endsWith('.css');
+
+  const add = (name, contents) => {
+    const hashedName = fingerprint(name, contents);
+    hashed.set(name, hashedName);
+    originals.set(hashedName, name);
+    variants.set(name, PRECOMPRESSED.filter(({ encoding, suffix }) => (
+      present.has(`${name}${suffix}`) && matches(path.join(dir, `${name}${suffix}`), encoding, contents)
+    )));
+  };
+
+  // Stylesheets reference other assets, so they are fingerprinted last
+  const assetNames = files.filter(isAsset);
+  assetNames.filter(name => !isStylesheet(name)).forEach((name) => {
+    add(name, fs.readFileSync(path.join(dir, name)));
+  });
+
+  assetNames.filter(isStylesheet).forEach((name) => {
+    const folder = path.posix.dirname(name);
+    const css = fs.readFileSync(path.join(dir, name), 'utf8');
+    const contents = Buffer.from(css.replace(STYLESHEET_REFERENCE, (match, quote, reference) => {
+      const target = path.posix.normalize(path.posix.join(folder, reference));
+      if (!hashed.has(target)) {
+        return match;
+      }
+      const hashedReference = `${reference.slice(0, reference.lastIndexOf('/') + 1)}${path.posix.basename(url(target))}`;
+      return `url(${quote}${hashedReference}${quote})`;
+    }));
+
+    rewritten.set(name, contents);
+    add(name, contents);
+  });
+
+  files.filter(name => name.endsWith('.html')).forEach((name) => {
+    const html = fs.readFileSync(path.join(dir, name), 'utf8');
+    pages.set(name, html.replace(REFERENCE, (match, attribute, slash, reference) => (
+      hashed.has(reference) ? `${attribute}="${slash}${url(reference)}"` : match
+    )));
+  });
+
+  return {
+    dir,
+    url,
+    original: name => originals.get(name) || null,
+    has: name => hashed.has(name),
+    names: () => [...hashed.keys()],
+    contents: name => rewritten.get(name) || null,
+    encodings: name => variants.get(name) || [],
+    page: name => (pages.has(name) ? pages.get(name) : null),
+    pages: () => [...pages.keys()]
+  };
+}
+
+/**
+ * Middleware serving a manifest's assets: hashed URLs with
+ * `Cache-Control: immutable`, plain asset names with `no-cache`, and HTML
+ * pages, references rewritten, with `no-cache`. Assets are sent precompressed
+ * when the client accepts one of their variants. Other requests fall
+ * through, typically to `express.static` with `staticHeaders`.
+ */
+function serveAssets(assets) {
+  return (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+
+    let name;
+    try {
+      name = decodeURIComponent(req.path).replace(/^\/+/, '');
+    } catch (err) {
+      return next();
+    }
+
+    const page = assets.page(name);
+    if (page !== null) {
+      res.set('Cache-Control', REVALIDATE);
+      return res.type('html').send(page);
+    }
+
+    const original = assets.original(name);
+    const file = original || (assets.has(name) ? name : null);
+    if (!file) {
+      return next();
+    }
+
+    res.set('Cache-Control', original ? IMMUTABLE : REVALIDATE);
+
+    const variants = assets.encodings(file);
+    let variant;
+    if (variants.length > 0) {
+      res.vary('Accept-Encoding');
+      // Smallest variant the client accepts at all: brotli, then gzip
+      variant = variants.find(v => req.acceptsEncodings(v.encoding));
+    }
+    if (variant) {
+      res.type(path.extname(file));
+      res.set('Content-Encoding', variant.encoding);
+    } else if (assets.contents(file)) {
+      return res.type(path.extname(file)).send(assets.contents(file));
+    }
+
+    res.sendFile(variant ? `${file}${variant.suffix}` : file, {
+      root: assets.dir,
+      cacheControl: false
+    }, (err) => {
+      if (err) {
+        // Removed since startup: let the rest of the stack answer
+        next(err.code === 'ENOENT' ? undefined : err);
+      }
+    });
+  };
+}
+
+// `setHeaders` for express.static: plain asset names must always be revalidated
+function staticHeaders(res) {
+  res.set('Cache-Control', REVALIDATE);
+}
+
+/**
+ * Write `.br` and `.gz` siblings next to every compressible file in `dir`
+ * larger than `minBytes`, so the server can send them without compressing
+ * per request. Stylesheets are compressed as served, references rewritten.
+ * Returns the names of the files written.
+ */
+function compressAssets(dir, { minBytes = MIN_COMPRESS_BYTES } = {}) {
+  const manifest = createAssetManifest(dir);
+  const written = [];
+
+  manifest.names()
+    .filter(name => COMPRESSIBLE.includes(path.extname(name)))
+    .forEach((name) => {
+      const contents = manifest.contents(name) || fs.readFileSync(path.join(dir, name));
+      if (contents.length < minBytes) {
+        return;
+      }
+
+      const brotli = zlib.brotliCompressSync(contents, {
+        params: {
+          [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+          [zlib.constants.BROTLI_PARAM_SIZE_HINT]: contents.length
+        }
+      });
+      fs.writeFileSync(path.join(dir, `${name}.br`), brotli);
+      fs.writeFileSync(path.join(dir, `${name}.gz`), zlib.gzipSync(contents, { level: zlib.constants.Z_BEST_COMPRESSION }));
+      written.push(`${name}.br`, `${name}.gz`);
+    });
+
+  return written;
+}
+
+module.exports = { IMMUTABLE, REVALIDATE, createAssetManifest, serveAssets, staticHeaders, compressAssets };
@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const session = require('express-session');
+const { sendProblem } = require('./errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters; stored with each hash so they can be raised later
+const SCRYPT = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 12;
+
+const SESSION_COOKIE = 'showcase.sid';
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+
+const CSRF_FIELD = '_csrf';
+// Double-submit cookie guarding the sign-in form, before there is a session
+const CSRF_COOKIE = 'showcase.csrf';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Hash a password with scrypt and a random salt. The result,
+ * `scrypt$N$r$p$<salt>$<hash>` (base64), is what the user store keeps.
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, SCRYPT);
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+// Resolves false for malformed hashes rather than throwing
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  try {
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+      N: Number(N),
+      r: Number(r),
+      p: Number(p)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+  } catch (err) {
+    // Cost parameters scrypt rejects
+    return false;
+  }
+}
+
+/**
+ * Admin accounts in the `users` collection of a lib/store.js store:
+ * `{ id, username, passwordHash, createdAt }`. Usernames are case-insensitive.
+ */
+function createUserStore(store) {
+  const normalize = username => String(username || '').trim().toLowerCase();
+  // Checked when the username is unknown, so both cases take as long
+  let dummyHash;
+
+  async function find(username) {
+    const users = await store.read('users');
+    return users.find(user => user.username === normalize(username)) || null;
+  }
+
+  // Add a user, or replace the password of an existing one
+  async function add(username, password) {
+    const name = normalize(username);
+    if (!/^[a-z0-9._@-]{3,64}$/.test(name)) {
+      throw new Error('Usernames are 3-64 letters, digits or . _ @ -');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    const passwordHash = await hashPassword(password);
+    return store.update('users', (users) => {
+      const existing = users.find(user => user.username === name);
+      if (existing) {
+        existing.passwordHash = passwordHash;
+        return existing;
+      }
+      const user = { id: crypto.randomUUID(), username: name, passwordHash, createdAt: new Date().toISOString() };
+      users.push(user);
+      return user;
+    });
+  }
+
+  // Resolves with the user, or null when the username or password is wrong
+  async function authenticate(username, password) {
+    const user = await find(username);
+    if (!user) {
+      dummyHash = dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+      await verifyPassword(String(password || ''), dummyHash);
+      return null;
+    }
+    return (await verifyPassword(String(password || ''), user.passwordHash)) ? user : null;
+  }
+
+  return { find, add, authenticate };
+}
+
+/**
+ * express-session store keeping sessions in the `sessions` collection of a
+ * lib/store.js store, so logins survive restarts. Expired sessions are
+ * dropped whenever a session is saved.
+ */
+class JsonSessionStore extends session.Store {
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  get(sid, callback) {
+    this.store.read('sessions')
+      .then((sessions) => {
+        const record = sessions.find(entry => entry.sid === sid);
+        callback(null, record && record.expires > Date.now() ? record.session : null);
+      })
+      .catch(callback);
+  }
+
+  set(sid, data, callback = () => {}) {
+    const expires = data.cookie && data.cookie.expires
+      ? new Date(data.cookie.expires).getTime()
+      : Date.now() + SESSION_TTL_MS;
+
+    this.store.update('sessions', (sessions) => {
+      const now = Date.now();
+      const live = sessions.filter(entry => entry.sid !== sid && entry.expires > now);
+      live.push({ sid, session: data, expires });
+      sessions.splice(0, sessions.length, ...live);
+    }).then(() => callback(null), callback);
+  }
+
+  destroy(sid, callback = () => {}) {
+    this.store.update('sessions', (sessions) => {
+      const index = sessions.findIndex(entry => entry.sid === sid);
+      if (index !== -1) {
+        sessions.splice(index, 1);
+      }
+    }).then(() => callback(null), callback);
+  }
+}
+
+/**
+ * Session middleware for the admin area: an HTTP-only, same-site cookie,
+ * `secure` in production, expiring after `ttlMs`. Sessions are only stored
+ * once something is put in them.
+ */
+function createSessionMiddleware({ store, secret, secure = false, ttlMs = SESSION_TTL_MS }) {
+  return session({
+    name: SESSION_COOKIE,
+    secret,
+    store: new JsonSessionStore(store),
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure,
+      maxAge: ttlMs
+    }
+  });
+}
+
+const newCsrfToken = () => crypto.randomBytes(32).toString('base64url');
+
+function readCookie(req, name) {
+  const pair = String(req.get('Cookie') || '')
+    .split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+  if (!pair) {
+    return null;
+  }
+  try {
+    return decodeURIComponent(pair.slice(1).join('='));
+  } catch (err) {
+    return null;
+  }
+}
+
+// CSRF token of a signed-in session, created on first use; views put it in a
+// hidden `_csrf` field of every form. Anonymous sessions get none, so they
+// are never stored.
+function csrfToken(req) {
+  if (!req.session.userId) {
+    return null;
+  }
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = newCsrfToken();
+  }
+  return req.session.csrfToken;
+}
+
+/**
+ * Token for the sign-in form: the one in the `showcase.csrf` cookie, or a
+ * new one set in that cookie, scoped to the router's path. Only the login
+ * page calls this, so other anonymous requests set no cookie at all.
+ */
+function loginCsrfToken(req, res, { secure = false } = {}) {
+  const existing = readCookie(req, CSRF_COOKIE);
+  if (existing) {
+    return existing;
+  }
+  const token = newCsrfToken();
+  res.cookie(CSRF_COOKIE, token, { httpOnly: true, sameSite: 'strict', secure, path: req.baseUrl || '/' });
+  return token;
+}
+
+// Drop the sign-in cookie once the session carries its own token
+function clearLoginCsrfToken(req, res) {
+  res.clearCookie(CSRF_COOKIE, { path: req.baseUrl || '/' });
+}
+
+/**
+ * Middleware rejecting state-changing requests whose `_csrf` field (or
+ * `X-CSRF-Token` header) does not match the expected token: the session's
+ * once signed in, the `showcase.csrf` cookie's before. Exposes the token to
+ * views as `csrfToken`.
+ */
+function csrfProtection(req, res, next) {
+  const token = req.session.userId ? csrfToken(req) : readCookie(req, CSRF_COOKIE);
+
+  if (!SAFE_METHODS.includes(req.method)) {
+    const expected = Buffer.from(token || '');
+    const sent = Buffer.from(String((req.body && req.body[CSRF_FIELD]) || req.get('X-CSRF-Token') || ''));
+
+    if (expected.length === 0 || sent.length !== expected.length || !crypto.timingSafeEqual(sent, expected)) {
+      return sendProblem(req, res, {
+        status: 403,
+        detail: 'The form has expired or did not come from this site. Reload the page and try again.'
+      });
+    }
+  }
+
+  res.locals.csrfToken = token;
+  next();
+}
+
+/**
+ * Middleware for pages that need a signed-in admin: sets `req.user` and the
+ * `user` view local, or redirects to the login page (401 for non-GET requests).
+ */
+function createRequireLogin({ users, loginPath = '/login' }) {
+  return async (req, res, next) => {
+    try {
+      const user = req.session.userId ? await users.find(req.session.username) : null;
+      if (user && user.id === req.session.userId) {
+        req.user = user;
+        res.locals.user = { username: user.username };
+        return next();
+      }
+    } catch (err) {
+      return next(err);
+    }
+
+    if (req.method === 'GET') {
+      return res.redirect(`${req.baseUrl}${loginPath}`);
+    }
+    sendProblem(req, res, { status: 401, detail: 'Please sign in again' });
+  };
+}
+
+/**
+ * Middleware for API endpoints meant for the team: lets through requests
+ * sending `Authorization: Bearer <token>` (when `token` is set) and requests
+ * from a signed-in admin session (with the session middleware in front), and
+ * answers the rest with a 401 problem rather than a redirect.
+ */
+function createRequireApiAccess({ users, token = null }) {
+  const expected = token ? Buffer.from(`Bearer ${token}`) : null;
+
+  return async (req, res, next) => {
+    const sent = Buffer.from(req.get('Authorization') || '');
+    if (expected && sent.length === expected.length && crypto.timingSafeEqual(sent, expected)) {
+      return next();
+    }
+
+    try {
+      const user = req.session && req.session.userId ? await users.find(req.session.username) : null;
+      if (user && user.id === req.session.userId) {
+        return next();
+      }
+    } catch (err) {
+      return next(err);
+    }
+
+    res.set('WWW-Authenticate', 'Bearer');
+    sendProblem(req, res, { status: 401, detail: 'Sign in to the admin dashboard or send an API token' });
+  };
+}
+
+module.exports = {
+  CSRF_FIELD,
+  CSRF_COOKIE,
+  MIN_PASSWORD_LENGTH,
+  SESSION_COOKIE,
+  hashPassword,
+  verifyPassword,
+  createUserStore,
+  JsonSessionStore,
+  createSessionMiddleware,
+  csrfToken,
+  loginCsrfToken,
+  clearLoginCsrfToken,
+  csrfProtection,
+  createRequireLogin,
+  createRequireApiAccess
+};
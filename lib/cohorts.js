@@ -0,0 +1,231 @@
+const express = require('express');
+const { DEFAULT_LOCALE, defaultTranslator, localize } = require('./i18n');
+const { formatDate } = require('./home');
+const { sendProblem } = require('./errors');
+const { siteRoot } = require('./seo');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DURATION_WEEKS = 12;
+const DEFAULT_TIMEZONE = 'UTC';
+
+// Statuses in which a cohort takes enrollments; a full one fills its waitlist
+const ENROLLABLE = ['open', 'full'];
+
+// `2027-01-11` plus `days`, as an ISO date
+function addDays(isoDate, days) {
+  return new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// The calendar date `now` falls on in `timezone`, as an ISO date
+function localDate(now, timezone) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(now);
+}
+
+// Enrollments per cohort: `Map<id, { seatsTaken, waitlisted }>`. Records from
+// before the waitlist existed have no status and hold a seat
+function countSeats(enrollments) {
+  const counts = new Map();
+  enrollments.forEach((enrollment) => {
+    const count = counts.get(enrollment.cohort) || { seatsTaken: 0, waitlisted: 0 };
+    if (enrollment.status === 'waitlisted') {
+      count.waitlisted += 1;
+    } else {
+      count.seatsTaken += 1;
+    }
+    counts.set(enrollment.cohort, count);
+  });
+  return counts;
+}
+
+/**
+ * A cohort from `content/cohorts.json` with its schedule and availability
+ * worked out for `now`. `status` is `cancelled` or `closed` when set so in
+ * the content file; otherwise `completed`, `in-progress`, `full` or `open`
+ * from the dates (in the cohort's timezone) and seats. Without a `capacity`
+ * the cohort never fills up and `seatsLeft` is null.
+ */
+function describeCohort(cohort, { seatsTaken = 0, waitlisted = 0 } = {}, now = new Date()) {
+  const durationWeeks = cohort.durationWeeks || DEFAULT_DURATION_WEEKS;
+  const timezone = cohort.timezone || DEFAULT_TIMEZONE;
+  const capacity = Number.isInteger(cohort.capacity) ? cohort.capacity : null;
+  const endDate = addDays(cohort.startDate, durationWeeks * 7 - 1);
+  const today = localDate(now, timezone);
+
+  let status = 'open';
+  if (cohort.status === 'cancelled') {
+    status = 'cancelled';
+  } else if (today > endDate) {
+    status = 'completed';
+  } else if (today >= cohort.startDate) {
+    status = 'in-progress';
+  } else if (cohort.status === 'closed') {
+    status = 'closed';
+  } else if (capacity !== null && seatsTaken >= capacity) {
+    status = 'full';
+  }
+
+  return {
+    ...cohort,
+    durationWeeks,
+    timezone,
+    endDate,
+    capacity,
+    seatsTaken,
+    seatsLeft: capacity === null ? null : Math.max(0, capacity - seatsTaken),
+    waitlisted,
+    status,
+    daysUntilStart: Math.max(0, Math.round((Date.parse(cohort.startDate) - Date.parse(today)) / DAY_MS))
+  };
+}
+
+/**
+ * Cohorts with live seat counts from the `enrollments` collection.
+ *
+ * - `list(now)` every cohort, described as by `describeCohort`, by start date
+ * - `enrollable(now)` the cohorts taking enrollments: open or full
+ * - `get(id, now)` one cohort, or null
+ */
+function createCohortService({ content, store }) {
+  async function list(now = new Date()) {
+    const [cohorts, enrollments] = await Promise.all([content.get('cohorts'), store.read('enrollments')]);
+    const counts = countSeats(enrollments);
+    return cohorts
+      .map(cohort => describeCohort(cohort, counts.get(cohort.id), now))
+      .sort((a, b) => a.startDate.localeCompare(b.startDate));
+  }
+
+  async function enrollable(now = new Date()) {
+    return (await list(now)).filter(cohort => ENROLLABLE.includes(cohort.status));
+  }
+
+  async function get(id, now = new Date()) {
+    return (await list(now)).find(cohort => cohort.id === id) || null;
+  }
+
+  return { list, enrollable, get };
+}
+
+// RFC 5545 text value: backslash, semicolon, comma and newlines escaped
+const icsText = value => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting
+// with a space, without splitting a UTF-8 character
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const icsDate = isoDate => isoDate.replace(/-/g, '');
+const icsTimestamp = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * iCalendar document with one all-day event spanning a cohort, from its first
+ * day to its last. `t` translates the summary and description; `url` links
+ * back to the landing page.
+ */
+function cohortCalendar(cohort, { t = defaultTranslator(), locale = DEFAULT_LOCALE, url, now = new Date() } = {}) {
+  const month = formatDate(cohort.startDate, locale, { day: undefined });
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//DevOps Bootcamp//Cohorts//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:cohort-${cohort.id}@devops-bootcamp`,
+    `DTSTAMP:${icsTimestamp(now)}`,
+    `DTSTART;VALUE=DATE:${icsDate(cohort.startDate)}`,
+    // All-day events end on the day after the last one
+    `DTEND;VALUE=DATE:${icsDate(addDays(cohort.endDate, 1))}`,
+    `SUMMARY:${icsText(t('cohorts.calendarTitle', { month }))}`,
+    `DESCRIPTION:${icsText(t('cohorts.calendarDescription', { count: cohort.durationWeeks, timezone: cohort.timezone }))}`,
+    ...(url ? [`URL:${url}`] : []),
+    `STATUS:${cohort.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Router mounted at /api/cohorts: the schedule and seat availability of every
+ * cohort, one cohort by id, and `/:id.ics` to add a cohort to a calendar.
+ * Calendar events link to `siteUrl`, or to the request's host without one.
+ */
+function createCohortsRouter({ cohorts, siteUrl = null }) {
+  const router = express.Router();
+
+  const notFound = (req, res) => sendProblem(req, res, {
+    status: 404,
+    detail: `No cohort with id "${req.params.id}"`
+  });
+
+  router.get('/', async (req, res, next) => {
+    try {
+      res.json(localize(await cohorts.list(), req.locale || DEFAULT_LOCALE));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/:id.ics', async (req, res, next) => {
+    try {
+      const cohort = await cohorts.get(req.params.id);
+      if (!cohort) {
+        return notFound(req, res);
+      }
+      const url = `${siteRoot(req, siteUrl)}/`;
+      res.attachment(`devops-bootcamp-${cohort.id}.ics`);
+      res.type('text/calendar; charset=utf-8').send(cohortCalendar(cohort, {
+        t: req.t,
+        locale: req.locale,
+        url
+      }));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/:id', async (req, res, next) => {
+    try {
+      const cohort = await cohorts.get(req.params.id);
+      if (!cohort) {
+        return notFound(req, res);
+      }
+      res.json(localize(cohort, req.locale || DEFAULT_LOCALE));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  ENROLLABLE,
+  countSeats,
+  describeCohort,
+  createCohortService,
+  cohortCalendar,
+  createCohortsRouter
+};
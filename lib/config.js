@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const { LEVELS } = require('./logger');
+const { parseTrustProxy } = require('./rate-limit');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Each parser turns a raw value (from the config file or an environment
+// variable string) into a typed value, or throws with what was expected
+const types = {
+  port(value) {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new Error('expected an integer between 0 and 65535');
+    }
+    return port;
+  },
+  integer(value, { min = 0 } = {}) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+      throw new Error(`expected an integer >= ${min}`);
+    }
+    return number;
+  },
+  boolean(value) {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    if (['true', '1'].includes(String(value))) {
+      return true;
+    }
+    if (['false', '0'].includes(String(value))) {
+      return false;
+    }
+    throw new Error('expected true or false');
+  },
+  enum(value, { values }) {
+    if (!values.includes(value)) {
+      throw new Error(`expected one of ${values.join(', ')}`);
+    }
+    return value;
+  },
+  string(value) {
+    if (typeof value !== 'string' || value === '') {
+      throw new Error('expected a non-empty string');
+    }
+    return value;
+  },
+  // Relative paths are resolved against the project root
+  path(value) {
+    if (typeof value !== 'string' || value === '') {
+      throw new Error('expected a path');
+    }
+    return path.resolve(ROOT_DIR, value);
+  },
+  // An absolute http(s) URL, without a trailing slash
+  url(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (err) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      throw new Error('expected an absolute http(s) URL');
+    }
+    if (url.search || url.hash) {
+      throw new Error('expected a URL without query or fragment');
+    }
+    return url.href.replace(/\/+$/, '');
+  },
+  // Trusting every hop would let any client pick its IP with
+  // X-Forwarded-For and get around the per-IP rate limits
+  trustProxy(value) {
+    const parsed = typeof value === 'boolean' || typeof value === 'number' || Array.isArray(value)
+      ? value
+      : parseTrustProxy(String(value));
+    if (parsed === true) {
+      throw new Error('expected a hop count or trusted addresses/subnets; true lets any client spoof X-Forwarded-For');
+    }
+    return parsed;
+  }
+};
+
+/**
+ * Every setting the app reads: its type, environment variable and default.
+ * The config file uses the same keys as the resulting config object.
+ */
+const SCHEMA = {
+  port: { type: 'port', env: 'PORT', default: 3000 },
+  env: { type: 'enum', values: ['development', 'test', 'production'], env: 'NODE_ENV', default: 'development' },
+  logLevel: { type: 'enum', values: Object.keys(LEVELS), env: 'LOG_LEVEL', default: 'info' },
+  dataDir: { type: 'path', env: 'DATA_DIR', default: 'data' },
+  contentDir: { type: 'path', env: 'CONTENT_DIR', default: 'content' },
+  gitCommit: { type: 'string', env: 'GIT_COMMIT', default: null },
+  shutdownTimeoutMs: { type: 'integer', min: 0, env: 'SHUTDOWN_TIMEOUT_MS', default: 10000 },
+  cspReportOnly: { type: 'boolean', env: 'CSP_REPORT_ONLY', default: false },
+  trustProxy: { type: 'trustProxy', env: 'TRUST_PROXY', default: false },
+  sessionSecret: { type: 'string', env: 'SESSION_SECRET', default: null },
+  // Bearer token for GET /api/analytics/summary; signed-in admins need none
+  analyticsToken: { type: 'string', env: 'ANALYTICS_TOKEN', default: null },
+  // Public URL of the site (including any mount path) for canonical links,
+  // the sitemap and structured data; defaults to the request's host
+  siteUrl: { type: 'url', env: 'SITE_URL', default: null },
+  // Off for staging and preview deployments: robots.txt disallows everything
+  allowIndexing: { type: 'boolean', env: 'ALLOW_INDEXING', default: true },
+  mailTransport: { type: 'enum', values: ['file', 'smtp'], env: 'MAIL_TRANSPORT', default: 'file' },
+  // Where the file transport writes messages; defaults to `outbox` in dataDir
+  mailOutboxDir: { type: 'path', env: 'MAIL_OUTBOX_DIR', default: null },
+  smtpUrl: { type: 'string', env: 'SMTP_URL', default: null },
+  mailFrom: { type: 'string', env: 'MAIL_FROM', default: 'DevOps Bootcamp <no-reply@devopsbootcamp.com>' },
+  // Recipient of contact form messages; defaults to the email in content/site.json
+  contactTo: { type: 'string', env: 'CONTACT_TO', default: null }
+};
+
+function readConfigFile(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new ConfigError([`CONFIG_FILE: cannot read ${file} (${err.code || err.message})`]);
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('expected a JSON object');
+    }
+    return parsed;
+  } catch (err) {
+    throw new ConfigError([`CONFIG_FILE: ${file} is not valid: ${err.message}`]);
+  }
+}
+
+/**
+ * Build the app configuration from, in increasing precedence: schema
+ * defaults, the JSON file named by `file` (or CONFIG_FILE), `env` variables
+ * and `overrides`. Throws a ConfigError listing every invalid setting.
+ * The result is frozen.
+ */
+function loadConfig({ env = process.env, file = env.CONFIG_FILE, overrides = {} } = {}) {
+  const fileValues = file ? readConfigFile(path.resolve(ROOT_DIR, file)) : {};
+  const problems = [];
+  const config = {};
+
+  Object.keys(fileValues)
+    .filter(key => !(key in SCHEMA))
+    .forEach(key => problems.push(`${key}: unknown setting in ${file}`));
+  Object.keys(overrides)
+    .filter(key => !(key in SCHEMA))
+    .forEach(key => problems.push(`${key}: unknown setting`));
+
+  Object.entries(SCHEMA).forEach(([key, spec]) => {
+    let value = spec.default;
+    let source = key;
+
+    if (fileValues[key] !== undefined) {
+      value = fileValues[key];
+    }
+    if (env[spec.env] !== undefined && env[spec.env] !== '') {
+      value = env[spec.env];
+      source = spec.env;
+    }
+    if (overrides[key] !== undefined) {
+      value = overrides[key];
+      source = key;
+    }
+
+    if (value === null) {
+      config[key] = null;
+      return;
+    }
+
+    try {
+      config[key] = types[spec.type](value, spec);
+    } catch (err) {
+      problems.push(`${source}: ${err.message}, got ${JSON.stringify(value)}`);
+    }
+  });
+
+  if (config.mailTransport === 'smtp' && !config.smtpUrl) {
+    problems.push('SMTP_URL: required when MAIL_TRANSPORT is smtp');
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return Object.freeze(config);
+}
+
+module.exports = { SCHEMA, ConfigError, loadConfig };
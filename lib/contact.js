@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const express = require('express');
+const { defaultTranslator } = require('./i18n');
+const { EMAIL_PATTERN } = require('./enrollments');
+
+// Hidden field that people never see and bots fill in
+const HONEYPOT_FIELD = 'website';
+// Hidden field holding the signed time the form was rendered
+const FORM_TOKEN_FIELD = 'token';
+// Submissions faster than this after the form was rendered are from bots
+const MIN_ELAPSED_MS = 3000;
+// Older forms are refused, so a token cannot be replayed indefinitely
+const MAX_FORM_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_MESSAGE_LENGTH = 5000;
+
+const asString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Validate a contact form payload. Returns the normalized message plus a map
+ * of field name -> error message, translated with `t`; the map is empty when
+ * the payload is valid.
+ */
+function validateContact(body = {}, t = defaultTranslator()) {
+  const value = {
+    name: asString(body.name),
+    email: asString(body.email).toLowerCase(),
+    message: asString(body.message)
+  };
+  const errors = {};
+
+  if (value.name.length < 2) {
+    errors.name = t('contact.errors.nameRequired');
+  } else if (value.name.length > 100) {
+    errors.name = t('contact.errors.nameTooLong');
+  }
+
+  if (!value.email) {
+    errors.email = t('contact.errors.emailRequired');
+  } else if (value.email.length > 254 || !EMAIL_PATTERN.test(value.email)) {
+    errors.email = t('contact.errors.emailInvalid');
+  }
+
+  if (value.message.length < 10) {
+    errors.message = t('contact.errors.messageRequired');
+  } else if (value.message.length > MAX_MESSAGE_LENGTH) {
+    errors.message = t('contact.errors.messageTooLong', { max: MAX_MESSAGE_LENGTH });
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Signed render times for the contact form, so the time trap does not rely
+ * on the client: `issue()` gives a `<ms>.<signature>` token for the page to
+ * embed, and `issuedAt(token)` the time it was issued, or null when it is
+ * malformed or was not signed with `secret`.
+ */
+function createFormTokens(secret) {
+  const sign = time => crypto.createHmac('sha256', secret).update(`contact-form:${time}`).digest('base64url');
+
+  function issue(now = Date.now()) {
+    return `${now}.${sign(now)}`;
+  }
+
+  function issuedAt(token) {
+    const [time, signature = ''] = String(token || '').split('.');
+    if (!/^\d{1,15}$/.test(time)) {
+      return null;
+    }
+    const expected = Buffer.from(sign(time));
+    const sent = Buffer.from(signature);
+    return sent.length === expected.length && crypto.timingSafeEqual(sent, expected) ? Number(time) : null;
+  }
+
+  return { issue, issuedAt };
+}
+
+/**
+ * Why a submission looks automated, or null: the honeypot field was filled
+ * in, or the form token (from `tokens`, see createFormTokens) is missing,
+ * forged or less than MIN_ELAPSED_MS old.
+ */
+function spamReason(body = {}, tokens, now = Date.now()) {
+  if (asString(body[HONEYPOT_FIELD])) {
+    return 'honeypot';
+  }
+  const issuedAt = tokens.issuedAt(body[FORM_TOKEN_FIELD]);
+  if (issuedAt === null) {
+    return 'no token';
+  }
+  if (now - issuedAt < MIN_ELAPSED_MS) {
+    return 'too fast';
+  }
+  return null;
+}
+
+function mailText(record) {
+  return [
+    `Name: ${record.name}`,
+    `Email: ${record.email}`,
+    `Language: ${record.locale}`,
+    `Received: ${record.createdAt}`,
+    '',
+    record.message,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Router mounted at /api/contact.
+ * Messages are kept in the `messages` collection of `store` and mailed with
+ * `transport` (see lib/mail.js) from `from` to `to`, or to the contact email
+ * in content/site.json. A message that could not be mailed is still kept,
+ * with `status: 'failed'`. Submissions that look automated get the same
+ * response as real ones but are dropped. Forms carry a token from `tokens`
+ * (see createFormTokens); pages without one, like the static index.html,
+ * get one from `GET /token`.
+ */
+function createContactRouter({ store, content, transport, tokens, from, to, logger }) {
+  const router = express.Router();
+
+  router.get('/token', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({ token: tokens.issue() });
+  });
+
+  router.post('/', async (req, res, next) => {
+    const t = req.t || defaultTranslator();
+    try {
+      const reason = spamReason(req.body, tokens);
+      if (reason) {
+        logger.info('contact message dropped as spam', { requestId: req.id, reason });
+        return res.status(201).json({ id: crypto.randomUUID(), createdAt: new Date().toISOString() });
+      }
+
+      // A page left open for a day; the visitor can reload and send again
+      if (Date.now() - tokens.issuedAt(req.body[FORM_TOKEN_FIELD]) > MAX_FORM_AGE_MS) {
+        return res.status(400).json({ error: 'Form expired', message: t('contact.errors.expired') });
+      }
+
+      const { value, errors } = validateContact(req.body, t);
+      if (Object.keys(errors).length > 0) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: t('contact.errors.invalid'),
+          fields: errors
+        });
+      }
+
+      const record = await store.update('messages', (messages) => {
+        const created = {
+          id: crypto.randomUUID(),
+          ...value,
+          locale: req.locale || t.locale,
+          status: 'received',
+          createdAt: new Date().toISOString()
+        };
+        messages.push(created);
+        return created;
+      });
+
+      let status = 'sent';
+      try {
+        await transport.send({
+          from,
+          to: to || (await content.get('site')).contact.email,
+          replyTo: { name: record.name, address: record.email },
+          subject: `Contact form: ${record.name}`,
+          text: mailText(record)
+        });
+      } catch (err) {
+        status = 'failed';
+        logger.error('contact message not mailed', { requestId: req.id, messageId: record.id, error: err.message });
+      }
+
+      await store.update('messages', (messages) => {
+        const stored = messages.find(message => message.id === record.id);
+        if (stored) {
+          stored.status = status;
+        }
+      });
+
+      res.status(201).json({ id: record.id, createdAt: record.createdAt });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  HONEYPOT_FIELD,
+  FORM_TOKEN_FIELD,
+  MIN_ELAPSED_MS,
+  MAX_FORM_AGE_MS,
+  validateContact,
+  createFormTokens,
+  spamReason,
+  createContactRouter
+};
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { DEFAULT_LOCALE, localize } = require('./i18n');
+
+/**
+ * Access to the JSON content files (curriculum, benefits, ...).
+ *
+ * Files are re-read whenever their modification time changes, so editing
+ * `content/*.json` on a running server, by hand or through the admin
+ * dashboard, takes effect on the next request.
+ */
+function createContentStore(dir) {
+  const cache = new Map();
+
+  async function get(name) {
+    const file = path.join(dir, `${name}.json`);
+    const { mtimeMs } = await fs.promises.stat(file);
+    const cached = cache.get(name);
+
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.data;
+    }
+
+    const data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    cache.set(name, { mtimeMs, data });
+    return data;
+  }
+
+  // Replace a content file; written to a temp file and renamed into place so
+  // readers never see a partial file
+  async function put(name, data) {
+    const file = path.join(dir, `${name}.json`);
+    const tmp = `${file}.${crypto.randomUUID()}.tmp`;
+    await fs.promises.writeFile(tmp, `${JSON.stringify(data, null, 2)}\n`);
+    await fs.promises.rename(tmp, file);
+    cache.delete(name);
+  }
+
+  // When a content file last changed, e.g. for the sitemap's <lastmod>
+  async function modifiedAt(name) {
+    const { mtime } = await fs.promises.stat(path.join(dir, `${name}.json`));
+    return mtime;
+  }
+
+  return { dir, get, put, modifiedAt };
+}
+
+/**
+ * Router mounted at /api exposing the landing page content, with inline
+ * translations resolved to the request's locale.
+ */
+function createContentRouter({ content }) {
+  const router = express.Router();
+
+  const serve = (name) => async (req, res, next) => {
+    try {
+      res.json(localize(await content.get(name), req.locale || DEFAULT_LOCALE));
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  router.get('/curriculum', serve('curriculum'));
+  router.get('/benefits', serve('benefits'));
+
+  return router;
+}
+
+module.exports = { createContentStore, createContentRouter };
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const express = require('express');
+const { defaultTranslator } = require('./i18n');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+
+const asString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Validate an enrollment payload against the list of `cohorts` taking
+ * enrollments.
+ * Returns the normalized enrollment plus a map of field name -> error message,
+ * translated with `t` (see lib/i18n.js); the map is empty when the payload is
+ * valid.
+ */
+function validateEnrollment(body = {}, cohorts = [], t = defaultTranslator()) {
+  const value = {
+    name: asString(body.name),
+    email: asString(body.email).toLowerCase(),
+    phone: asString(body.phone),
+    cohort: asString(body.cohort)
+  };
+  const errors = {};
+
+  if (value.name.length < 2) {
+    errors.name = t('enroll.errors.nameRequired');
+  } else if (value.name.length > 100) {
+    errors.name = t('enroll.errors.nameTooLong');
+  }
+
+  if (!value.email) {
+    errors.email = t('enroll.errors.emailRequired');
+  } else if (value.email.length > 254 || !EMAIL_PATTERN.test(value.email)) {
+    errors.email = t('enroll.errors.emailInvalid');
+  }
+
+  const digits = value.phone.replace(/\D/g, '');
+  if (!value.phone) {
+    errors.phone = t('enroll.errors.phoneRequired');
+  } else if (!PHONE_PATTERN.test(value.phone) || digits.length < 7 || digits.length > 15) {
+    errors.phone = t('enroll.errors.phoneInvalid');
+  }
+
+  if (!cohorts.some(cohort => cohort.id === value.cohort)) {
+    errors.cohort = t('enroll.errors.cohortInvalid');
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Router mounted at /api/enrollments.
+ * Enrollments are persisted in the `enrollments` collection of `store`; a
+ * visitor may choose any open or full cohort from the `cohorts` service (see
+ * lib/cohorts.js). Once a cohort's seats are taken, enrollments get
+ * `status: 'waitlisted'` and a `waitlistPosition` instead of `'enrolled'`.
+ * Messages are in the request's locale; the `error` codes stay in English.
+ */
+function createEnrollmentsRouter({ store, cohorts }) {
+  const router = express.Router();
+
+  router.post('/', async (req, res, next) => {
+    const t = req.t || defaultTranslator();
+    try {
+      const available = await cohorts.enrollable();
+      const { value, errors } = validateEnrollment(req.body, available, t);
+
+      if (Object.keys(errors).length > 0) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: t('enroll.errors.invalid'),
+          fields: errors
+        });
+      }
+
+      const enrollment = await store.update('enrollments', (enrollments) => {
+        if (enrollments.some(existing => existing.email === value.email)) {
+          return null;
+        }
+
+        // Seats are counted here, inside the queued update, so two visitors
+        // can never take the last seat
+        const { capacity } = available.find(cohort => cohort.id === value.cohort);
+        const sameCohort = enrollments.filter(existing => existing.cohort === value.cohort);
+        const seatsTaken = sameCohort.filter(existing => existing.status !== 'waitlisted').length;
+        const waitlisted = capacity !== null && seatsTaken >= capacity;
+
+        const record = {
+          id: crypto.randomUUID(),
+          ...value,
+          status: waitlisted ? 'waitlisted' : 'enrolled',
+          createdAt: new Date().toISOString()
+        };
+        enrollments.push(record);
+        return waitlisted
+          ? { ...record, waitlistPosition: sameCohort.length - seatsTaken + 1 }
+          : record;
+      });
+
+      if (!enrollment) {
+        return res.status(409).json({
+          error: 'Already enrolled',
+          message: t('enroll.errors.duplicate'),
+          fields: { email: t('enroll.errors.duplicate') }
+        });
+      }
+
+      res.status(201).json(enrollment);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { EMAIL_PATTERN, validateEnrollment, createEnrollmentsRouter };
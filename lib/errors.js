@@ -0,0 +1,115 @@
+const http = require('http');
+const { defaultTranslator } = require('./i18n');
+
+// Copy for the HTML error pages comes from the locale bundles
+// (`errors.<status>.heading`/`.message`); other statuses fall back to the
+// standard reason phrase
+function pageCopy(t, status, title, detail) {
+  if (!t.has(`errors.${status}.heading`)) {
+    return { heading: title, message: detail };
+  }
+  return { heading: t(`errors.${status}.heading`), message: t(`errors.${status}.message`) };
+}
+
+/**
+ * Request path relative to the app handling it, so checks like "is this an
+ * /api request" hold whether the app runs standalone or mounted under a
+ * prefix in another Express app, and from inside mounted routers.
+ */
+function appPath(req) {
+  return (req.baseUrl + req.path).slice(req.app.path().length) || '/';
+}
+
+/**
+ * Pick a representation for an error response from the Accept header.
+ * API paths default to JSON when the client accepts anything; everything
+ * else defaults to HTML.
+ */
+function negotiate(req) {
+  const preferred = appPath(req).startsWith('/api') ? ['json', 'html', 'text'] : ['html', 'json', 'text'];
+  return req.accepts(preferred) || 'text';
+}
+
+/**
+ * Send an RFC 7807 problem details document, an HTML error page or plain
+ * text, depending on what the client accepts. `problem` holds `status`,
+ * `title` and `detail` plus any extension members; the request ID is always
+ * included.
+ */
+function sendProblem(req, res, problem) {
+  const { status, title = http.STATUS_CODES[problem.status], detail, ...extensions } = problem;
+  const requestId = req.id;
+
+  res.status(status);
+
+  switch (negotiate(req)) {
+    case 'json':
+      return res.type('application/problem+json').send(JSON.stringify({
+        type: 'about:blank',
+        title,
+        status,
+        detail,
+        instance: req.originalUrl,
+        requestId,
+        ...extensions
+      }));
+
+    case 'html': {
+      // Errors raised before the i18n middleware ran are shown in English
+      const t = res.locals.t || defaultTranslator();
+      return res.render('error', { status, requestId, t, ...pageCopy(t, status, title, detail) }, (err, html) => {
+        if (err) {
+          // The template itself failed; plain text still carries the essentials
+          return res.type('text').send(`${status} ${title}\n${detail}\nRequest ID: ${requestId}\n`);
+        }
+        res.send(html);
+      });
+    }
+
+    default:
+      return res.type('text').send(`${status} ${title}\n${detail}\nRequest ID: ${requestId}\n`);
+  }
+}
+
+// Final middleware: nothing matched the request
+function createNotFoundHandler({ metrics }) {
+  return (req, res) => {
+    metrics.notFound.inc({ method: req.method });
+    sendProblem(req, res, {
+      status: 404,
+      title: 'Not Found',
+      detail: `No resource found at ${req.originalUrl.split('?')[0]}`
+    });
+  };
+}
+
+/**
+ * Error-handling middleware. Client errors (e.g. malformed JSON bodies) are
+ * described as-is; server errors are logged with their stack and only
+ * described to the client when `exposeErrors` is set (development).
+ */
+function createErrorHandler({ logger, metrics, exposeErrors = false }) {
+  return (err, req, res, next) => {
+    const status = err.status >= 400 && err.status < 600 ? err.status : 500;
+    metrics.errors.inc({ status_code: status });
+
+    // Too late to send an error response; let Express close the connection
+    if (res.headersSent) {
+      logger.error('error after response started', { requestId: req.id, error: err.message, stack: err.stack });
+      return next(err);
+    }
+
+    if (status < 500) {
+      logger.warn('request rejected', { requestId: req.id, status, error: err.message });
+      return sendProblem(req, res, { status, detail: err.message });
+    }
+
+    logger.error('unhandled error', { requestId: req.id, status, error: err.message, stack: err.stack });
+    sendProblem(req, res, {
+      status,
+      detail: exposeErrors ? err.message : 'Internal server error'
+    });
+  };
+}
+
+module.exports = { appPath, sendProblem, createNotFoundHandler, createErrorHandler };
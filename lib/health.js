@@ -0,0 +1,142 @@
+const express = require('express');
+const pkg = require('../package.json');
+
+const CHECK_TIMEOUT_MS = 2000;
+
+/**
+ * Registry of readiness checks. Each subsystem registers a named check
+ * function; a check passes when it resolves to anything but `false` and fails
+ * when it returns `false`, throws, or takes longer than `timeoutMs`.
+ */
+function createHealthRegistry({ timeoutMs = CHECK_TIMEOUT_MS } = {}) {
+  const checks = new Map();
+
+  function register(name, check) {
+    if (checks.has(name)) {
+      throw new Error(`Health check "${name}" is already registered`);
+    }
+    checks.set(name, check);
+  }
+
+  async function runCheck(check) {
+    const started = Date.now();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+
+    try {
+      const result = await Promise.race([Promise.resolve().then(check), timeout]);
+      if (result === false) {
+        throw new Error('Check failed');
+      }
+      return { status: 'pass', durationMs: Date.now() - started };
+    } catch (err) {
+      return { status: 'fail', durationMs: Date.now() - started, error: err.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Run every check in parallel; resolves with `{ ok, checks }`
+  async function run() {
+    const names = [...checks.keys()];
+    const results = await Promise.all(names.map(name => runCheck(checks.get(name))));
+
+    const report = {};
+    names.forEach((name, i) => {
+      report[name] = results[i];
+    });
+
+    return {
+      ok: results.every(result => result.status === 'pass'),
+      checks: report
+    };
+  }
+
+  return { register, run };
+}
+
+// Time from scheduling a macrotask to it running, in milliseconds
+function measureEventLoopLag() {
+  const started = process.hrtime.bigint();
+  return new Promise(resolve => {
+    setImmediate(() => resolve(Number(process.hrtime.bigint() - started) / 1e6));
+  });
+}
+
+function memoryUsage() {
+  const usage = process.memoryUsage();
+  const toMb = bytes => Math.round(bytes / 1024 / 1024 * 100) / 100;
+  return {
+    rssMb: toMb(usage.rss),
+    heapUsedMb: toMb(usage.heapUsed),
+    heapTotalMb: toMb(usage.heapTotal),
+    externalMb: toMb(usage.external)
+  };
+}
+
+/**
+ * Router mounted at /health.
+ *
+ * - `GET /health` basic status; `?verbose=1` adds build info, memory usage,
+ *   event-loop lag and the readiness checks
+ * - `GET /health/live` liveness probe: the process is up and serving requests
+ * - `GET /health/ready` readiness probe: 503 unless every registered check passes
+ */
+function createHealthRouter({ registry, commit = null }) {
+  const router = express.Router();
+  const verbose = (req) => ['1', 'true'].includes(req.query.verbose);
+
+  router.get('/', async (req, res, next) => {
+    const body = {
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime()
+    };
+
+    if (!verbose(req)) {
+      return res.status(200).json(body);
+    }
+
+    try {
+      const [readiness, eventLoopLagMs] = await Promise.all([registry.run(), measureEventLoopLag()]);
+      res.status(200).json({
+        ...body,
+        ready: readiness.ok,
+        version: pkg.version,
+        commit,
+        node: process.version,
+        memory: memoryUsage(),
+        eventLoopLagMs: Math.round(eventLoopLagMs * 100) / 100,
+        checks: readiness.checks
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/live', (req, res) => {
+    res.status(200).json({
+      status: 'OK',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  router.get('/ready', async (req, res, next) => {
+    try {
+      const { ok, checks } = await registry.run();
+      res.status(ok ? 200 : 503).json({
+        status: ok ? 'OK' : 'UNAVAILABLE',
+        timestamp: new Date().toISOString(),
+        checks
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createHealthRegistry, createHealthRouter };
@@ -0,0 +1,108 @@
+const { REVALIDATE } = require('./assets');
+const { DEFAULT_LOCALE, defaultTranslator, localize } = require('./i18n');
+const { pageMetadata } = require('./seo');
+
+// First cohort that has not started yet, or null when none are scheduled
+function findNextCohort(cohorts, now = new Date()) {
+  const today = now.toISOString().slice(0, 10);
+  return cohorts
+    .filter(cohort => cohort.startDate >= today)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate))[0] || null;
+}
+
+// `2027-01-11` as `January 11, 2027` (`11 janvier 2027`, ...); `{ day: undefined }`
+// leaves the day out, as in the cohort picker
+function formatDate(isoDate, locale = DEFAULT_LOCALE, options = {}) {
+  return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString(locale, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC',
+    ...options
+  });
+}
+
+// Server-side rendering of a numeric stat; the client-side counter animates
+// up to the same text
+function formatStat(stat, locale = DEFAULT_LOCALE) {
+  const decimals = stat.decimals || 0;
+  const number = new Intl.NumberFormat(locale, {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  }).format(stat.value);
+  return `${stat.prefix || ''}${number}${stat.suffix || ''}`;
+}
+
+/**
+ * Route handler for `GET /` rendering `views/index.ejs` with the live site
+ * content in the request's locale (see lib/i18n.js) and the cohorts taking
+ * enrollments from the `cohorts` service (see lib/cohorts.js), plus search
+ * and social metadata built with `seo` (`{ siteUrl, allowIndexing }`, see
+ * lib/seo.js). The contact form gets a token from `contactTokens` (see
+ * lib/contact.js). If they cannot be loaded or the template fails to render,
+ * the static `index.html` from the asset manifest is sent instead.
+ */
+function createHomeHandler({ content, cohorts, assets, i18n, logger, seo, contactTokens = null }) {
+  const fallback = (req, res, err) => {
+    logger.error('falling back to static index.html', { requestId: req.id, error: err.message });
+    const page = assets.page('index.html');
+    if (page === null) {
+      return res.status(503).type('text').send('Service Unavailable\n');
+    }
+    res.type('html').send(page);
+  };
+
+  return async (req, res) => {
+    // The page embeds fingerprinted asset URLs, so it must be revalidated
+    res.set('Cache-Control', REVALIDATE);
+
+    const locale = req.locale || DEFAULT_LOCALE;
+    let locals;
+    try {
+      const [site, curriculum, enrollable] = await Promise.all([
+        content.get('site'),
+        content.get('curriculum'),
+        cohorts.enrollable()
+      ]);
+      const t = res.locals.t || defaultTranslator();
+      const localizedSite = localize(site, locale);
+      const localizedCohorts = localize(enrollable, locale);
+      locals = {
+        t,
+        locales: res.locals.locales || [],
+        site: localizedSite,
+        cohorts: localizedCohorts,
+        nextCohort: findNextCohort(localizedCohorts),
+        formatDate: isoDate => formatDate(isoDate, locale),
+        formatMonth: isoDate => formatDate(isoDate, locale, { day: undefined }),
+        formatStat: stat => formatStat(stat, locale),
+        clientMessages: i18n ? i18n.messages(locale, 'client') : {},
+        contactToken: contactTokens ? contactTokens.issue() : '',
+        year: new Date().getFullYear(),
+        seo: pageMetadata(req, {
+          i18n,
+          seo,
+          locale,
+          t,
+          site: localizedSite,
+          curriculum: localize(curriculum, locale),
+          cohorts: localizedCohorts.map(cohort => ({
+            ...cohort,
+            label: formatDate(cohort.startDate, locale, { day: undefined })
+          }))
+        })
+      };
+    } catch (err) {
+      return fallback(req, res, err);
+    }
+
+    res.render('index', locals, (err, html) => {
+      if (err) {
+        return fallback(req, res, err);
+      }
+      res.send(html);
+    });
+  };
+}
+
+module.exports = { createHomeHandler, findNextCohort, formatDate };
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const DEFAULT_LOCALE = 'en';
+const COOKIE = 'lang';
+const COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+// A content value translated inline: `{ "en": "...", "fr": "..." }`
+const LOCALE_CODE = /^[a-z]{2}(-[A-Z]{2})?$/;
+const isTranslated = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+  && DEFAULT_LOCALE in value && Object.keys(value).every(key => LOCALE_CODE.test(key));
+
+/**
+ * Resolve inline translations anywhere in a content document to `locale`,
+ * falling back to the default locale.
+ */
+function localize(value, locale) {
+  if (Array.isArray(value)) {
+    return value.map(item => localize(item, locale));
+  }
+  if (isTranslated(value)) {
+    return localize(locale in value ? value[locale] : value[DEFAULT_LOCALE], locale);
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, localize(item, locale)]));
+  }
+  return value;
+}
+
+function lookup(bundle, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), bundle);
+}
+
+function readCookie(req, name) {
+  const pairs = (req.headers.cookie || '').split(';').map(pair => pair.trim().split('='));
+  const match = pairs.find(([key]) => key === name);
+  try {
+    return match ? decodeURIComponent(match.slice(1).join('=')) : undefined;
+  } catch (err) {
+    return undefined;
+  }
+}
+
+/**
+ * Locale bundles (`locales/<code>.json`) loaded once, at startup. Each bundle
+ * has a `meta` block with its `name` (in its own language) and text `dir`;
+ * missing keys fall back to the default locale's bundle.
+ *
+ * - `locales` the available locales, `[{ code, name, dir }]`, default first
+ * - `translator(locale)` a `t(key, params)` function; `{name}` placeholders
+ *   are filled from `params`, and a `count` param picks a plural form
+ * - `messages(locale, key)` a whole section of a bundle, e.g. for the client
+ * - `negotiate(req)` locale from `?lang=`, the `lang` cookie, then
+ *   `Accept-Language`
+ * - `middleware` sets `req.locale`, `req.t` and the view locals
+ */
+function createI18n({ dir = LOCALES_DIR, defaultLocale = DEFAULT_LOCALE } = {}) {
+  const bundles = new Map(fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))]));
+
+  if (!bundles.has(defaultLocale)) {
+    throw new Error(`Missing bundle for the default locale "${defaultLocale}" in ${dir}`);
+  }
+
+  const codes = [defaultLocale, ...[...bundles.keys()].filter(code => code !== defaultLocale).sort()];
+  const locales = codes.map(code => ({ code, name: bundles.get(code).meta.name, dir: bundles.get(code).meta.dir }));
+  const supported = code => typeof code === 'string' && bundles.has(code);
+
+  function translator(locale) {
+    const bundle = bundles.get(supported(locale) ? locale : defaultLocale);
+    const fallback = bundles.get(defaultLocale);
+    const numbers = new Intl.NumberFormat(locale);
+    const plurals = new Intl.PluralRules(locale);
+
+    const t = (key, params = {}) => {
+      let text = lookup(bundle, key);
+      if (text === undefined) {
+        text = lookup(fallback, key);
+      }
+      if (text !== null && typeof text === 'object' && params.count !== undefined) {
+        text = text[plurals.select(params.count)] || text.other;
+      }
+      if (typeof text !== 'string') {
+        return key;
+      }
+      return text.replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) {
+          return match;
+        }
+        return typeof params[name] === 'number' ? numbers.format(params[name]) : params[name];
+      });
+    };
+    t.has = key => typeof lookup(bundle, key) === 'string' || typeof lookup(fallback, key) === 'string';
+    t.locale = locale;
+    return t;
+  }
+
+  function messages(locale, key) {
+    return { ...lookup(bundles.get(defaultLocale), key), ...lookup(bundles.get(locale), key) };
+  }
+
+  function negotiate(req) {
+    if (supported(req.query.lang)) {
+      return req.query.lang;
+    }
+    const cookie = readCookie(req, COOKIE);
+    if (supported(cookie)) {
+      return cookie;
+    }
+    return req.acceptsLanguages(codes) || defaultLocale;
+  }
+
+  // Localized responses differ by Accept-Language and the `lang` cookie; a
+  // valid `?lang=` choice is remembered in that cookie
+  function middleware(req, res, next) {
+    const locale = negotiate(req);
+    const { dir: textDir } = locales.find(entry => entry.code === locale);
+
+    if (supported(req.query.lang) && readCookie(req, COOKIE) !== locale) {
+      res.cookie(COOKIE, locale, {
+        path: `${req.app.path()}/`,
+        maxAge: COOKIE_MAX_AGE_MS,
+        sameSite: 'lax'
+      });
+    }
+
+    req.locale = locale;
+    req.t = translator(locale);
+    res.vary('Accept-Language');
+    res.vary('Cookie');
+    res.set('Content-Language', locale);
+    Object.assign(res.locals, { locale, dir: textDir, locales, t: req.t });
+    next();
+  }
+
+  return { defaultLocale, locales, translator, messages, negotiate, middleware };
+}
+
+let defaultI18n;
+
+// English translator from the bundled locales, for code running without the
+// i18n middleware (e.g. a router used on its own)
+function defaultTranslator() {
+  defaultI18n = defaultI18n || createI18n();
+  return defaultI18n.translator(DEFAULT_LOCALE);
+}
+
+module.exports = { DEFAULT_LOCALE, createI18n, defaultTranslator, localize };
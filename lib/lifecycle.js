@@ -0,0 +1,144 @@
+const http = require('http');
+
+/**
+ * HTTP server lifecycle with graceful shutdown.
+ *
+ * `close()` marks the app as shutting down (failing readiness), stops
+ * accepting connections, closes idle keep-alive sockets and asks busy ones to
+ * close after their current response. Connections still open after
+ * `shutdownTimeoutMs` are destroyed. `onClosed` (async) runs once the server
+ * has closed, to save state held in memory.
+ */
+function createServer(app, { lifecycle = { shuttingDown: false }, logger, shutdownTimeoutMs = 10000, onClosed = () => {} } = {}) {
+  const server = http.createServer(app);
+  // socket -> number of requests currently in flight on it
+  const sockets = new Map();
+  const responses = new Set();
+  let closing = null;
+
+  server.on('connection', (socket) => {
+    sockets.set(socket, 0);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  server.on('request', (req, res) => {
+    const { socket } = req;
+    sockets.set(socket, (sockets.get(socket) || 0) + 1);
+
+    responses.add(res);
+    if (closing) {
+      res.setHeader('Connection', 'close');
+    }
+
+    res.on('close', () => responses.delete(res));
+    res.on('finish', () => {
+      responses.delete(res);
+      const inFlight = (sockets.get(socket) || 1) - 1;
+      sockets.set(socket, inFlight);
+      if (closing && inFlight === 0) {
+        socket.end();
+      }
+    });
+  });
+
+  function listen(port, host) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.removeListener('error', reject);
+        resolve(server.address());
+      });
+    });
+  }
+
+  function close() {
+    if (closing) {
+      return closing;
+    }
+
+    lifecycle.shuttingDown = true;
+    if (logger) {
+      logger.info('shutting down', { openConnections: sockets.size, timeoutMs: shutdownTimeoutMs });
+    }
+
+    closing = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        if (logger) {
+          logger.warn('shutdown timeout reached, destroying open connections', { openConnections: sockets.size });
+        }
+        sockets.forEach((inFlight, socket) => socket.destroy());
+      }, shutdownTimeoutMs);
+      timer.unref();
+
+      server.close((err) => {
+        clearTimeout(timer);
+        if (err && err.code !== 'ERR_SERVER_NOT_RUNNING') {
+          return reject(err);
+        }
+        Promise.resolve().then(onClosed).then(resolve, reject);
+      });
+
+      // Tell clients of in-flight requests not to reuse their connection
+      responses.forEach((res) => {
+        if (!res.headersSent) {
+          res.setHeader('Connection', 'close');
+        }
+      });
+
+      // Idle keep-alive connections would otherwise hold the server open
+      sockets.forEach((inFlight, socket) => {
+        if (inFlight === 0) {
+          socket.end();
+        }
+      });
+    });
+
+    return closing;
+  }
+
+  return { server, listen, close };
+}
+
+/**
+ * Close `handle` (from createServer) when the process receives one of
+ * `signals`, then call `exit` with 0 on a clean shutdown or 1 on failure.
+ * A second signal during shutdown exits immediately with 1.
+ * Returns a function that removes the signal listeners.
+ */
+function handleShutdownSignals(handle, { logger, signals = ['SIGTERM', 'SIGINT'], proc = process, exit = code => proc.exit(code) } = {}) {
+  let received = false;
+
+  const onSignal = (signal) => {
+    if (received) {
+      if (logger) {
+        logger.warn('received second shutdown signal, exiting immediately', { signal });
+      }
+      return exit(1);
+    }
+    received = true;
+
+    if (logger) {
+      logger.info('received shutdown signal', { signal });
+    }
+
+    handle.close()
+      .then(() => {
+        if (logger) {
+          logger.info('shutdown complete');
+        }
+        exit(0);
+      })
+      .catch((err) => {
+        if (logger) {
+          logger.error('shutdown failed', { error: err.message, stack: err.stack });
+        }
+        exit(1);
+      });
+  };
+
+  signals.forEach(signal => proc.on(signal, onSignal));
+
+  return () => signals.forEach(signal => proc.removeListener(signal, onSignal));
+}
+
+module.exports = { createServer, handleShutdownSignals };
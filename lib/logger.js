@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Upstream request IDs are echoed back in headers and logs, so only accept
+// short, header-safe values
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Structured JSON logger writing one line per entry:
+ * `{"time":"...","level":"info","msg":"...", ...fields}`.
+ *
+ * Entries below `level` are dropped. warn/error go to stderr, the rest to
+ * stdout, unless a custom `write(line, level)` is given.
+ */
+function createLogger({ level = 'info', write } = {}) {
+  if (!(level in LEVELS)) {
+    throw new Error(`Unknown log level "${level}"; expected one of ${Object.keys(LEVELS).join(', ')}`);
+  }
+
+  const threshold = LEVELS[level];
+  const output = write || ((line, entryLevel) => {
+    if (LEVELS[entryLevel] >= LEVELS.warn) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  });
+
+  const log = (entryLevel) => (msg, fields = {}) => {
+    if (LEVELS[entryLevel] < threshold) {
+      return;
+    }
+    output(JSON.stringify({
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg,
+      ...fields
+    }), entryLevel);
+  };
+
+  return {
+    level,
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error')
+  };
+}
+
+// Accept an upstream X-Request-Id or generate one; exposed as `req.id`
+function requestId() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+  };
+}
+
+// Log every request once the response has been sent
+function requestLogger(logger) {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+      let level = 'info';
+      if (res.statusCode >= 500) {
+        level = 'error';
+      } else if (res.statusCode >= 400) {
+        level = 'warn';
+      }
+
+      logger[level]('request completed', {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 100) / 100,
+        // Routes promising anonymity (e.g. analytics events) set res.locals.anonymous
+        ...(res.locals.anonymous ? {} : {
+          userAgent: req.get('User-Agent') || null,
+          remoteIp: req.ip
+        })
+      });
+    });
+
+    next();
+  };
+}
+
+module.exports = { LEVELS, createLogger, requestId, requestLogger };
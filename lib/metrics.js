@@ -0,0 +1,88 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics for the app, kept in their own registry so several app
+ * instances (and test runs) never share counters.
+ */
+function createMetrics({ prefix = '', collectDefaults = true } = {}) {
+  const registry = new client.Registry();
+
+  if (collectDefaults) {
+    client.collectDefaultMetrics({ register: registry, prefix });
+  }
+
+  const requests = new client.Counter({
+    name: `${prefix}http_requests_total`,
+    help: 'Total number of HTTP requests',
+    labelNames: ['method', 'route', 'status_code'],
+    registers: [registry]
+  });
+
+  const duration = new client.Histogram({
+    name: `${prefix}http_request_duration_seconds`,
+    help: 'HTTP request latency in seconds',
+    labelNames: ['method', 'route', 'status_code'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    registers: [registry]
+  });
+
+  const notFound = new client.Counter({
+    name: `${prefix}http_not_found_total`,
+    help: 'Requests that matched no route or static file',
+    labelNames: ['method'],
+    registers: [registry]
+  });
+
+  const errors = new client.Counter({
+    name: `${prefix}http_errors_total`,
+    help: 'Error handler invocations',
+    labelNames: ['status_code'],
+    registers: [registry]
+  });
+
+  // Label requests by their route pattern rather than the raw URL so path
+  // parameters and typos cannot blow up label cardinality
+  const routeLabel = (req, res) => {
+    if (req.route) {
+      // A router's `/` route is reported as its mount path (`/health`, not `/health/`)
+      const routePath = req.baseUrl && req.route.path === '/' ? '' : req.route.path;
+      return `${req.baseUrl}${routePath}`;
+    }
+    if (res.statusCode === 404) {
+      return 'not_found';
+    }
+    // Without a route, a successful response came from express.static; an
+    // error came from middleware (e.g. body parsing) before routing
+    return res.statusCode < 400 ? 'static' : 'unmatched';
+  };
+
+  // Register before any other middleware so static assets are measured too
+  function middleware(req, res, next) {
+    const end = duration.startTimer();
+
+    res.on('finish', () => {
+      const labels = {
+        method: req.method,
+        route: routeLabel(req, res),
+        status_code: res.statusCode
+      };
+      requests.inc(labels);
+      end(labels);
+    });
+
+    next();
+  }
+
+  async function handler(req, res, next) {
+    try {
+      res.set('Content-Type', registry.contentType);
+      res.end(await registry.metrics());
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  return { registry, middleware, handler, notFound, errors };
+}
+
+module.exports = { createMetrics };
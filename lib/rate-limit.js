@@ -0,0 +1,81 @@
+const { rateLimit, MemoryStore } = require('express-rate-limit');
+const { appPath, sendProblem } = require('./errors');
+
+/**
+ * Default budgets, per client IP. Every rule keeps its own counters, so a
+ * request to `POST /api/enrollments` counts against `global`, `api` and
+ * `enrollments` at once.
+ */
+const DEFAULT_RULES = [
+  { name: 'global', path: '/', windowMs: 60 * 1000, limit: 300 },
+  { name: 'api', path: '/api', windowMs: 60 * 1000, limit: 100 },
+  { name: 'enrollments', path: '/api/enrollments', methods: ['POST'], windowMs: 60 * 60 * 1000, limit: 20 },
+  { name: 'contact', path: '/api/contact', methods: ['POST'], windowMs: 60 * 60 * 1000, limit: 10 },
+  { name: 'events', path: '/api/events', methods: ['POST'], windowMs: 60 * 1000, limit: 60 },
+  // Password guessing against the admin sign-in
+  { name: 'login', path: '/admin/login', methods: ['POST'], windowMs: 15 * 60 * 1000, limit: 10 }
+];
+
+// Probes must never be throttled, or a busy client could take the pod out of rotation
+const EXEMPT_PATHS = ['/health'];
+
+const isExempt = (req) => {
+  const requestPath = appPath(req);
+  return EXEMPT_PATHS.some(exempt => requestPath === exempt || requestPath.startsWith(`${exempt}/`));
+};
+
+/**
+ * Build one limiter per rule. `createStore(rule)` returns the counter store
+ * for a rule (an express-rate-limit store: memory by default, Redis etc. in a
+ * multi-instance deployment). Returns `[{ path, middleware }]` to mount.
+ */
+function createRateLimiters({ rules = DEFAULT_RULES, createStore = () => new MemoryStore() } = {}) {
+  return rules.map((rule) => {
+    const methods = rule.methods && rule.methods.map(method => method.toUpperCase());
+
+    const middleware = rateLimit({
+      windowMs: rule.windowMs,
+      limit: rule.limit,
+      store: createStore(rule),
+      standardHeaders: 'draft-6',
+      legacyHeaders: false,
+      // Its configuration checks print stack traces with console.error,
+      // bypassing the JSON logger; TRUST_PROXY is checked in lib/config.js
+      validate: false,
+      skip: req => isExempt(req) || Boolean(methods && !methods.includes(req.method)),
+      handler: (req, res, next, options) => {
+        const { resetTime } = req.rateLimit;
+        const seconds = resetTime
+          ? Math.max(1, Math.ceil((resetTime - Date.now()) / 1000))
+          : Math.ceil(options.windowMs / 1000);
+
+        sendProblem(req, res, {
+          status: options.statusCode,
+          detail: `Rate limit exceeded, please try again in ${seconds} seconds`
+        });
+      }
+    });
+
+    return { name: rule.name, path: rule.path, middleware };
+  });
+}
+
+/**
+ * Parse the TRUST_PROXY setting into an Express `trust proxy` value:
+ * a hop count ("1"), a boolean ("true"/"false") or a list of addresses/subnets
+ * ("loopback, 10.0.0.0/8").
+ */
+function parseTrustProxy(value) {
+  if (value === undefined || value === '' || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+module.exports = { DEFAULT_RULES, createRateLimiters, parseTrustProxy };
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const express = require('express');
+const helmet = require('helmet');
+
+const PERMISSIONS_POLICY = [
+  'accelerometer=()',
+  'camera=()',
+  'geolocation=()',
+  'gyroscope=()',
+  'magnetometer=()',
+  'microphone=()',
+  'payment=()',
+  'usb=()'
+].join(', ');
+
+/**
+ * Per-environment defaults; production enables HSTS and upgrades insecure
+ * requests, everything else keeps plain-HTTP localhost usable.
+ */
+function securityDefaults(env) {
+  const production = env === 'production';
+  return {
+    hsts: production,
+    hstsMaxAge: 15552000, // 180 days
+    cspReportOnly: false,
+    reportUri: '/csp-report'
+  };
+}
+
+/**
+ * Security headers: CSP with a per-request script nonce (available to views
+ * as `cspNonce`), HSTS, X-Content-Type-Options, Referrer-Policy,
+ * Permissions-Policy and frame protections.
+ */
+function securityHeaders(options = {}) {
+  const { hsts, hstsMaxAge, cspReportOnly, reportUri } = { ...securityDefaults(options.env), ...options };
+
+  const nonce = (req, res, next) => {
+    res.locals.cspNonce = crypto.randomBytes(16).toString('base64');
+    next();
+  };
+
+  const directives = {
+    defaultSrc: ["'self'"],
+    scriptSrc: ["'self'", (req, res) => `'nonce-${res.locals.cspNonce}'`],
+    // Fonts and icons are self-hosted (public/vendor); no third-party origins
+    styleSrc: ["'self'"],
+    fontSrc: ["'self'"],
+    imgSrc: ["'self'", 'data:'],
+    connectSrc: ["'self'"],
+    objectSrc: ["'none'"],
+    baseUri: ["'self'"],
+    formAction: ["'self'"],
+    frameAncestors: ["'none'"],
+    upgradeInsecureRequests: hsts ? [] : null
+  };
+  if (reportUri) {
+    // Reports go to this app's endpoint, wherever the app is mounted
+    directives.reportUri = [req => `${req.app.path()}${reportUri}`];
+  }
+
+  const headers = helmet({
+    contentSecurityPolicy: {
+      useDefaults: false,
+      reportOnly: cspReportOnly,
+      directives
+    },
+    strictTransportSecurity: hsts ? { maxAge: hstsMaxAge, includeSubDomains: true } : false,
+    referrerPolicy: { policy: 'strict-origin-when-cross-origin' },
+    xFrameOptions: { action: 'deny' }
+  });
+
+  const permissionsPolicy = (req, res, next) => {
+    res.set('Permissions-Policy', PERMISSIONS_POLICY);
+    next();
+  };
+
+  return [nonce, headers, permissionsPolicy];
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Router accepting CSP violation reports from browsers, in both the legacy
+ * `report-uri` format and the Reporting API format, and logging them.
+ * Entries that are not objects are skipped.
+ */
+function createCspReportRouter({ logger }) {
+  const router = express.Router();
+  const parseReport = express.json({
+    type: ['application/csp-report', 'application/reports+json', 'application/json'],
+    limit: '10kb'
+  });
+
+  router.post('/', parseReport, (req, res) => {
+    const reports = Array.isArray(req.body) ? req.body : [req.body];
+
+    reports.filter(isObject).forEach((report) => {
+      const violation = [report['csp-report'], report.body].find(isObject) || report;
+      logger.warn('csp violation', {
+        requestId: req.id,
+        documentUri: violation['document-uri'] || violation.documentURL,
+        violatedDirective: violation['violated-directive'] || violation.effectiveDirective,
+        blockedUri: violation['blocked-uri'] || violation.blockedURL,
+        userAgent: req.get('User-Agent') || null
+      });
+    });
+
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { securityDefaults, securityHeaders, createCspReportRouter };
@@ -0,0 +1,171 @@
+const express = require('express');
+const { REVALIDATE } = require('./assets');
+const { DEFAULT_LOCALE } = require('./i18n');
+
+const SITE_NAME = 'DevOps Bootcamp';
+// Content files the landing page is built from; the newest dates the sitemap
+const PAGE_CONTENT = ['site', 'curriculum', 'benefits', 'cohorts'];
+
+const xmlEscape = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Absolute URL of the app's root, without a trailing slash: the configured
+// `siteUrl`, or the scheme, host and mount path of the request
+function siteRoot(req, siteUrl) {
+  return siteUrl || `${req.protocol}://${req.get('host')}${req.app.path()}`;
+}
+
+// The landing page in `locale`; the default language lives at the root
+function pageUrl(root, locale) {
+  return locale === DEFAULT_LOCALE ? `${root}/` : `${root}/?lang=${encodeURIComponent(locale)}`;
+}
+
+// `<link rel="alternate" hreflang>` targets: every language plus x-default
+function alternates(root, locales) {
+  return [
+    ...locales.map(({ code }) => ({ hreflang: code, href: pageUrl(root, code) })),
+    { hreflang: 'x-default', href: pageUrl(root, DEFAULT_LOCALE) }
+  ];
+}
+
+/**
+ * schema.org graph for the landing page: the school as an
+ * EducationalOrganization with its contact details, and the bootcamp as a
+ * Course with a syllabus section per curriculum module and a CourseInstance
+ * per cohort taking enrollments. `site`, `curriculum` and `cohorts` are
+ * localized content; `t` translates the descriptions.
+ */
+function structuredData({ root, locale, t, site, curriculum, cohorts }) {
+  const organization = {
+    '@type': 'EducationalOrganization',
+    '@id': `${root}/#organization`,
+    name: SITE_NAME,
+    url: `${root}/`,
+    description: t('footer.tagline'),
+    email: site.contact.email,
+    telephone: site.contact.phone,
+    address: site.contact.address
+  };
+  const weeks = curriculum.reduce((sum, module) => sum + (Number(module.weeks) || 0), 0);
+
+  const course = {
+    '@type': 'Course',
+    '@id': `${root}/#course`,
+    name: t('hero.title'),
+    description: t('seo.description'),
+    url: pageUrl(root, locale),
+    inLanguage: locale,
+    provider: { '@id': organization['@id'] },
+    ...(weeks > 0 ? { timeRequired: `P${weeks}W` } : {}),
+    teaches: curriculum.map(module => module.title),
+    syllabusSections: curriculum.map(module => ({
+      '@type': 'Syllabus',
+      name: module.title,
+      description: module.description,
+      ...(module.weeks ? { timeRequired: `P${module.weeks}W` } : {})
+    })),
+    hasCourseInstance: cohorts.map(cohort => ({
+      '@type': 'CourseInstance',
+      name: cohort.label,
+      startDate: cohort.startDate,
+      endDate: cohort.endDate
+    }))
+  };
+
+  return { '@context': 'https://schema.org', '@graph': [organization, course] };
+}
+
+/**
+ * Locals for the page head (see views/index.ejs): canonical URL, hreflang
+ * alternates, Open Graph locales, robots directive and the JSON-LD document.
+ * `i18n` supplies the languages; `seo` is `{ siteUrl, allowIndexing }` from
+ * the config.
+ */
+function pageMetadata(req, { i18n, seo = {}, locale, t, site, curriculum, cohorts }) {
+  const root = siteRoot(req, seo.siteUrl);
+  const locales = i18n ? i18n.locales : [{ code: DEFAULT_LOCALE }];
+  const ogLocale = code => (i18n ? i18n.translator(code)('seo.ogLocale') : t('seo.ogLocale'));
+
+  return {
+    canonicalUrl: pageUrl(root, locale),
+    alternates: alternates(root, locales),
+    ogLocale: t('seo.ogLocale'),
+    ogLocaleAlternates: locales.filter(({ code }) => code !== locale).map(({ code }) => ogLocale(code)),
+    indexable: seo.allowIndexing !== false,
+    structuredData: structuredData({ root, locale, t, site, curriculum, cohorts })
+  };
+}
+
+function robotsTxt({ root, basePath, allowIndexing }) {
+  if (!allowIndexing) {
+    return 'User-agent: *\nDisallow: /\n';
+  }
+  return [
+    'User-agent: *',
+    `Disallow: ${basePath}/admin/`,
+    '',
+    `Sitemap: ${root}/sitemap.xml`,
+    ''
+  ].join('\n');
+}
+
+// One <url> per language of the landing page, each listing all of them as
+// alternates, as search engines expect
+function sitemapXml({ root, locales, lastmod }) {
+  const links = alternates(root, locales)
+    .map(({ hreflang, href }) => `    <xhtml:link rel="alternate" hreflang="${hreflang}" href="${xmlEscape(href)}"/>`);
+  const urls = locales.map(({ code }) => [
+    '  <url>',
+    `    <loc>${xmlEscape(pageUrl(root, code))}</loc>`,
+    `    <lastmod>${lastmod.toISOString().slice(0, 10)}</lastmod>`,
+    ...links,
+    '  </url>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * `/robots.txt` and `/sitemap.xml`, generated from the config: `siteUrl` for
+ * absolute URLs and `allowIndexing` to keep a staging site out of search
+ * engines. The sitemap is dated by the newest content file.
+ */
+function createSeoRouter({ content, i18n, siteUrl = null, allowIndexing = true }) {
+  const router = express.Router();
+
+  router.get('/robots.txt', (req, res) => {
+    res.set('Cache-Control', REVALIDATE);
+    res.type('text/plain').send(robotsTxt({
+      root: siteRoot(req, siteUrl),
+      basePath: req.app.path(),
+      allowIndexing
+    }));
+  });
+
+  router.get('/sitemap.xml', async (req, res, next) => {
+    try {
+      const dates = await Promise.all(PAGE_CONTENT.map(name => content.modifiedAt(name)));
+      res.set('Cache-Control', REVALIDATE);
+      res.type('application/xml').send(sitemapXml({
+        root: siteRoot(req, siteUrl),
+        locales: i18n.locales,
+        lastmod: new Date(Math.max(...dates))
+      }));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { SITE_NAME, siteRoot, structuredData, pageMetadata, robotsTxt, sitemapXml, createSeoRouter };
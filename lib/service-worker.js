@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { REVALIDATE } = require('./assets');
+
+const SOURCE = 'sw.js';
+
+// Static files the worker never needs offline
+const NOT_PRECACHED = [SOURCE, 'admin.css', /(^|\/)LICENSE[^/]*$/];
+
+/**
+ * App shell for the service worker to precache, as paths relative to the
+ * app root: the home and offline pages, the static HTML pages and every
+ * fingerprinted asset.
+ */
+function precacheList(assets) {
+  const skip = name => NOT_PRECACHED.some(rule => (typeof rule === 'string' ? rule === name : rule.test(name)));
+  return [
+    '',
+    ...assets.pages(),
+    ...assets.names().filter(name => !skip(name)).map(assets.url)
+  ];
+}
+
+/**
+ * Route handler for `GET /sw.js`: the worker source from the asset manifest's
+ * directory with the precache list and a version derived from it prepended,
+ * so browsers pick up a new worker whenever an asset changes. The worker is
+ * always revalidated and may control the whole app, wherever it is mounted.
+ */
+function createServiceWorkerHandler({ assets }) {
+  let source;
+  try {
+    source = fs.readFileSync(path.join(assets.dir, SOURCE), 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+    source = null;
+  }
+
+  const precache = precacheList(assets);
+  const version = crypto.createHash('sha256')
+    .update(JSON.stringify(precache))
+    .update(source || '')
+    .digest('hex')
+    .slice(0, 10);
+  const body = `const PRECACHE = ${JSON.stringify(precache)};\nconst VERSION = '${version}';\n\n${source}`;
+
+  return (req, res, next) => {
+    if (source === null) {
+      return next();
+    }
+
+    res.set({
+      'Cache-Control': REVALIDATE,
+      'Service-Worker-Allowed': `${req.app.path()}/`
+    });
+    res.type('js').send(body);
+  };
+}
+
+module.exports = { createServiceWorkerHandler, precacheList };
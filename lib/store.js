@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Stores by resolved directory, so every app instance in the process using
+// the same directory shares one store and its update queues
+const stores = new Map();
+
+/**
+ * Minimal JSON-file document store.
+ *
+ * Each collection lives in its own `<dir>/<name>.json` file holding an array
+ * of records. Writes go to a uniquely named temp file first and are renamed
+ * into place, and all updates to a collection are queued so concurrent
+ * requests never interleave a read-modify-write cycle. Calls with the same
+ * directory return the same store.
+ */
+function createStore(dir) {
+  const resolved = path.resolve(dir);
+  if (!stores.has(resolved)) {
+    stores.set(resolved, openStore(resolved));
+  }
+  return stores.get(resolved);
+}
+
+function openStore(dir) {
+  const queues = new Map();
+
+  const fileFor = (name) => path.join(dir, `${name}.json`);
+
+  async function read(name) {
+    try {
+      const raw = await fs.promises.readFile(fileFor(name), 'utf8');
+      return JSON.parse(raw);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return [];
+      }
+      throw err;
+    }
+  }
+
+  async function write(name, records) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = fileFor(name);
+    const tmp = `${file}.${crypto.randomUUID()}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(records, null, 2));
+    await fs.promises.rename(tmp, file);
+  }
+
+  // Run `fn(records)` against the current contents of a collection and persist
+  // the (possibly mutated) array. Resolves with whatever `fn` returns.
+  function update(name, fn) {
+    const previous = queues.get(name) || Promise.resolve();
+    const next = previous.then(async () => {
+      const records = await read(name);
+      const result = await fn(records);
+      await write(name, records);
+      return result;
+    });
+    // Keep the queue alive even if this update fails
+    queues.set(name, next.catch(() => {}));
+    return next;
+  }
+
+  // Resolves when the data directory exists and is writable
+  async function ping() {
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.access(dir, fs.constants.W_OK);
+  }
+
+  return { dir, read, update, ping };
+}
+
+module.exports = { createStore };
@@ -0,0 +1,45 @@
+// Add some interactive elements to the error pages (the static 404 page and
+// the server's error.ejs, which carries its status in data-status)
+document.addEventListener('DOMContentLoaded', function() {
+    const errorContent = document.querySelector('.error-content');
+    const page = document.querySelector('.error-page');
+    const status = Number((page && page.dataset.status) || 404);
+    
+    const reduceMotion = typeof window.matchMedia === 'function' &&
+        window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+    // Add a subtle animation, unless the visitor prefers less motion
+    if (!reduceMotion) {
+        errorContent.style.opacity = '0';
+        errorContent.style.transform = 'translateY(20px)';
+
+        setTimeout(() => {
+            errorContent.style.transition = 'opacity 0.8s ease, transform 0.8s ease';
+            errorContent.style.opacity = '1';
+            errorContent.style.transform = 'translateY(0)';
+        }, 100);
+    }
+
+    // Add a fun console message, only fitting for pages that were not found
+    if (status !== 404) {
+        console.log(`
+    🚨 ${status} Error Detected!
+
+    The request could not be completed. If this keeps happening, report it
+    with the request ID shown on the page.
+    `);
+        return;
+    }
+
+    console.log(`
+    🚨 404 Error Detected!
+    
+    Don't worry, even the best DevOps engineers make mistakes sometimes.
+    This is just a demo application, but in production, you'd want to:
+    - Set up proper error monitoring
+    - Log this error for analysis
+    - Redirect users to helpful pages
+    
+    Keep learning and building! 🚀
+    `);
+});
@@ -1,50 +1,655 @@
-// Smooth scrolling for navigation links
+// API URLs are relative to where the app is mounted (see <meta name="base-path">)
+function apiUrl(path) {
+    const meta = document.querySelector('meta[name="base-path"]');
+    return (meta ? meta.content : '') + path;
+}
+
+// Client-side copy, in the page's language, from the
+// <script type="application/json" id="i18n-messages"> block the server renders
+const DEFAULT_MESSAGES = {
+    contentError: 'This section could not be loaded. Please refresh the page.',
+    enrollSuccess: 'Thank you! We received your enrollment and will be in touch soon.',
+    enrollError: 'Something went wrong. Please try again.',
+    networkError: 'Could not reach the server. Please check your connection and try again.',
+    weeks: { one: '{count} week', other: '{count} weeks' },
+    cohortStartsIn: { one: 'Next cohort starts in {count} day', other: 'Next cohort starts in {count} days' },
+    cohortStartsToday: 'Next cohort starts today',
+    seatsLeft: { one: '{count} seat left', other: '{count} seats left' },
+    cohortFull: 'Full: join the waitlist',
+    addToCalendar: 'Add to calendar',
+    enrollWaitlisted: "This cohort is full, so you're number {position} on the waitlist. We'll be in touch as soon as a seat opens up.",
+    contactSuccess: "Thanks for getting in touch! We'll reply by email soon."
+};
+
+function pageLocale() {
+    return document.documentElement.lang || undefined;
+}
+
+function loadMessages() {
+    const block = document.getElementById('i18n-messages');
+    try {
+        return { ...DEFAULT_MESSAGES, ...(block ? JSON.parse(block.textContent) : {}) };
+    } catch (err) {
+        return DEFAULT_MESSAGES;
+    }
+}
+
+// message('weeks', { count: 2 }) -> '2 weeks'; plural forms follow the page locale
+function message(key, params = {}) {
+    let text = loadMessages()[key];
+    if (text && typeof text === 'object') {
+        text = text[new Intl.PluralRules(pageLocale()).select(params.count)] || text.other;
+    }
+    return String(text).replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) {
+            return match;
+        }
+        return typeof params[name] === 'number' ? new Intl.NumberFormat(pageLocale()).format(params[name]) : params[name];
+    });
+}
+
+// API responses are localized from Accept-Language; sending the page's
+// language keeps them consistent with the page and cached per language
+function languageHeaders() {
+    const locale = pageLocale();
+    return locale ? { 'Accept-Language': locale } : {};
+}
+
+// Render field-level errors returned by the API next to each input
+function showFieldErrors(form, fields) {
+    form.querySelectorAll('.field-error').forEach(el => {
+        const message = fields[el.dataset.errorFor] || '';
+        const input = form.elements[el.dataset.errorFor];
+
+        el.textContent = message;
+        if (input) {
+            input.setAttribute('aria-invalid', message ? 'true' : 'false');
+        }
+    });
+}
+
+// POST a form's fields as JSON to the API at `path`; resolves with the parsed response
+async function postForm(form, path) {
+    const payload = Object.fromEntries(new FormData(form).entries());
+
+    const response = await fetch(apiUrl(path), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...languageHeaders() },
+        body: JSON.stringify(payload)
+    });
+    const body = await response.json().catch(() => ({}));
+
+    return { ok: response.ok, status: response.status, body };
+}
+
+// POST the enrollment form to the API; resolves with the parsed response
+function submitEnrollment(form) {
+    return postForm(form, '/api/enrollments');
+}
+
+// POST the contact form to the API; its hidden `token` field carries the
+// signed time the form was rendered, for the server's spam check
+function submitContact(form) {
+    return postForm(form, '/api/contact');
+}
+
+// Pages the server did not render (the static index.html) have an empty
+// token; fetch one so the form can be sent
+async function loadContactToken(form) {
+    const field = form.elements.token;
+    if (!field || field.value) {
+        return;
+    }
+    try {
+        const response = await fetch(apiUrl('/api/contact/token'), { cache: 'no-store' });
+        if (response.ok) {
+            // The default value, so it survives form.reset() after sending
+            field.defaultValue = (await response.json()).token;
+        }
+    } catch (err) {
+        // Offline: the form cannot be sent anyway
+    }
+}
+
+// Build a DOM element with an optional class name and text content
+function createElement(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) {
+        el.className = className;
+    }
+    if (text !== undefined) {
+        el.textContent = text;
+    }
+    return el;
+}
+
+function createIcon(icon) {
+    const i = createElement('i', icon);
+    i.setAttribute('aria-hidden', 'true');
+    return i;
+}
+
+// Curriculum module from /api/curriculum -> .curriculum-card
+function createCurriculumCard(module) {
+    const card = createElement('div', 'curriculum-card');
+    const iconWrapper = createElement('div', 'card-icon');
+    iconWrapper.appendChild(createIcon(module.icon));
+    card.appendChild(iconWrapper);
+
+    card.appendChild(createElement('h3', null, module.title));
+    if (module.weeks) {
+        card.appendChild(createElement('span', 'card-weeks', message('weeks', { count: module.weeks })));
+    }
+    card.appendChild(createElement('p', null, module.description));
+
+    if (module.topics && module.topics.length) {
+        const topics = createElement('ul', 'card-topics');
+        module.topics.forEach(topic => topics.appendChild(createElement('li', null, topic)));
+        card.appendChild(topics);
+    }
+
+    if (module.tools && module.tools.length) {
+        const tools = createElement('div', 'card-tools');
+        module.tools.forEach(tool => tools.appendChild(createElement('span', 'tool-tag', tool)));
+        card.appendChild(tools);
+    }
+
+    return card;
+}
+
+// Benefit from /api/benefits -> .benefit-item
+function createBenefitItem(benefit) {
+    const item = createElement('div', 'benefit-item');
+    item.appendChild(createIcon(benefit.icon));
+    item.appendChild(createElement('h3', null, benefit.title));
+    item.appendChild(createElement('p', null, benefit.description));
+    return item;
+}
+
+// Fetch a list from the content API and replace the container's children with
+// one element per entry. Resolves with the rendered elements.
+async function renderContent(container, url, createItem) {
+    try {
+        const response = await fetch(url, { headers: { Accept: 'application/json', ...languageHeaders() } });
+        if (!response.ok) {
+            throw new Error(`Request to ${url} failed with status ${response.status}`);
+        }
+
+        const items = (await response.json()).map(createItem);
+        container.replaceChildren(...items);
+        return items;
+    } catch (err) {
+        container.replaceChildren(createElement('p', 'content-error', message('contentError')));
+        return [];
+    }
+}
+
+// Hero banner for the next cohort taking enrollments, from /api/cohorts: days
+// to go, seats left (or the waitlist) and a calendar download. Without the
+// API the server-rendered start date stays. Resolves with the cohort shown,
+// or null.
+async function renderCohortBanner(banner) {
+    try {
+        const response = await fetch(apiUrl('/api/cohorts'), { headers: { Accept: 'application/json', ...languageHeaders() } });
+        if (!response.ok) {
+            throw new Error(`Request for cohorts failed with status ${response.status}`);
+        }
+
+        const cohort = (await response.json()).find(entry => entry.status === 'open' || entry.status === 'full');
+        if (!cohort) {
+            return null;
+        }
+
+        const parts = [createElement('span', 'cohort-countdown', cohort.daysUntilStart === 0
+            ? message('cohortStartsToday')
+            : message('cohortStartsIn', { count: cohort.daysUntilStart }))];
+        if (cohort.status === 'full') {
+            parts.push(createElement('span', 'cohort-seats cohort-full', message('cohortFull')));
+        } else if (cohort.seatsLeft !== null) {
+            parts.push(createElement('span', 'cohort-seats', message('seatsLeft', { count: cohort.seatsLeft })));
+        }
+        const calendar = createElement('a', 'cohort-calendar', message('addToCalendar'));
+        calendar.href = apiUrl(`/api/cohorts/${encodeURIComponent(cohort.id)}.ics`);
+        parts.push(calendar);
+
+        banner.replaceChildren(...parts);
+        banner.dataset.cohort = cohort.id;
+        banner.hidden = false;
+        return cohort;
+    } catch (err) {
+        return null;
+    }
+}
+
+function prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' &&
+        window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// Read counter settings from a .stat-number's data-* attributes:
+// data-target (required), data-prefix, data-suffix, data-decimals, data-duration (ms)
+function readCounterOptions(element) {
+    const { dataset } = element;
+    const decimals = parseInt(dataset.decimals, 10);
+    const duration = parseInt(dataset.duration, 10);
+
+    return {
+        target: dataset.target === undefined || dataset.target === '' ? NaN : Number(dataset.target),
+        prefix: dataset.prefix || '',
+        suffix: dataset.suffix || '',
+        decimals: Number.isNaN(decimals) ? 0 : Math.min(Math.max(decimals, 0), 20),
+        duration: Number.isNaN(duration) ? 2500 : Math.max(duration, 0),
+        locale: pageLocale()
+    };
+}
+
+function formatStat(value, { prefix, suffix, decimals, locale }) {
+    const formatter = new Intl.NumberFormat(locale, {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    });
+    return prefix + formatter.format(value) + suffix;
+}
+
+// Count a .stat-number up from zero to its data-target. Stats without a
+// numeric target (e.g. "24/7") are left as rendered. Returns the interval id,
+// or null when no animation runs.
+function animateCounter(element) {
+    const options = readCounterOptions(element);
+    const { target, decimals, duration } = options;
+
+    if (!Number.isFinite(target)) {
+        return null;
+    }
+
+    if (prefersReducedMotion() || duration === 0) {
+        element.textContent = formatStat(target, options);
+        return null;
+    }
+
+    const steps = Math.max(1, Math.round(duration / 50));
+    const factor = Math.pow(10, decimals);
+    let step = 0;
+
+    const timer = setInterval(() => {
+        step++;
+        const done = step >= steps;
+        // Truncate intermediate values so the counter never overshoots the target
+        const current = done ? target : Math.floor(target * step / steps * factor) / factor;
+
+        element.textContent = formatStat(current, options);
+        if (done) {
+            clearInterval(timer);
+        }
+    }, 50);
+
+    return timer;
+}
+
+// Send `form` with `submit(form)`, then reset it and show `success(body)`,
+// or show the errors the API returned
+async function handleFormSubmit(form, submit, success) {
+    const status = form.querySelector('.form-status');
+    const submitButton = form.querySelector('[type="submit"]');
+
+    showFieldErrors(form, {});
+    status.textContent = '';
+    submitButton.disabled = true;
+
+    try {
+        const result = await submit(form);
+
+        if (result.ok) {
+            form.reset();
+            status.textContent = success(result.body);
+        } else {
+            showFieldErrors(form, result.body.fields || {});
+            status.textContent = result.body.message || message('enrollError');
+        }
+    } catch (err) {
+        status.textContent = message('networkError');
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+function handleEnrollmentSubmit(form) {
+    return handleFormSubmit(form, submitEnrollment, body => (body.status === 'waitlisted'
+        ? message('enrollWaitlisted', { position: body.waitlistPosition })
+        : message('enrollSuccess')));
+}
+
+function handleContactSubmit(form) {
+    return handleFormSubmit(form, submitContact, () => message('contactSuccess'));
+}
+
+// Theme in effect: the one chosen with the toggle (data-theme on <html>, set
+// early by theme.js), otherwise the system preference
+function currentTheme() {
+    const chosen = document.documentElement.dataset.theme;
+    if (chosen === 'light' || chosen === 'dark') {
+        return chosen;
+    }
+    return typeof window.matchMedia === 'function' &&
+        window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+}
+
+// Switch to `theme` and remember the choice for later visits
+function setTheme(theme) {
+    document.documentElement.dataset.theme = theme;
+    try {
+        localStorage.setItem('theme', theme);
+    } catch (err) {
+        // Storage unavailable: the choice lasts for this page only
+    }
+}
+
+// Wire up the nav's theme toggle; it is pressed while the dark theme is on
+function setupThemeToggle(button) {
+    const sync = () => button.setAttribute('aria-pressed', String(currentTheme() === 'dark'));
+
+    button.hidden = false;
+    sync();
+    button.addEventListener('click', () => {
+        setTheme(currentTheme() === 'dark' ? 'light' : 'dark');
+        sync();
+    });
+
+    // Until a theme is chosen, follow the system as it changes
+    if (typeof window.matchMedia === 'function') {
+        const query = window.matchMedia('(prefers-color-scheme: dark)');
+        if (query && typeof query.addEventListener === 'function') {
+            query.addEventListener('change', sync);
+        }
+    }
+}
+
+// Styles for the header once the page has scrolled live in styles.css
+// (.header-scrolled), so they follow the theme
+function updateHeaderOnScroll(header) {
+    header.classList.toggle('header-scrolled', window.scrollY > 100);
+}
+
+// Scroll to an in-page section, record it in the URL hash and move keyboard
+// focus there, so the next Tab continues from the section
+function goToSection(target) {
+    const header = document.querySelector('.header');
+    const headerHeight = header ? header.offsetHeight : 0;
+
+    window.scrollTo({
+        top: target.offsetTop - headerHeight,
+        behavior: prefersReducedMotion() ? 'auto' : 'smooth'
+    });
+
+    if (window.location.hash !== `#${target.id}`) {
+        history.pushState(null, '', `#${target.id}`);
+    }
+
+    if (!target.hasAttribute('tabindex')) {
+        target.setAttribute('tabindex', '-1');
+    }
+    target.focus({ preventScroll: true });
+}
+
+// Mobile menu behind the nav's toggle button: opened and closed with the
+// button, closed by Escape (focus returns to the button) or by following a link
+function setupMobileMenu(toggle, menu) {
+    const isOpen = () => toggle.getAttribute('aria-expanded') === 'true';
+    const setOpen = (open) => {
+        toggle.setAttribute('aria-expanded', String(open));
+        menu.classList.toggle('open', open);
+    };
+
+    toggle.addEventListener('click', () => setOpen(!isOpen()));
+    menu.addEventListener('click', (e) => {
+        if (e.target.closest('a')) {
+            setOpen(false);
+        }
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && isOpen()) {
+            setOpen(false);
+            toggle.focus();
+        }
+    });
+
+    return setOpen;
+}
+
+// Mark the nav link for section `id` as the current one
+function setActiveNavLink(links, id) {
+    links.forEach((link) => {
+        if (link.hash === `#${id}`) {
+            link.setAttribute('aria-current', 'true');
+        } else {
+            link.removeAttribute('aria-current');
+        }
+    });
+}
+
+// Scroll-spy: highlight the nav link of the section crossing the middle of
+// the viewport. Returns the observer, or null when there is nothing to watch
+function setupScrollSpy(links) {
+    const sections = links
+        .map(link => document.getElementById(link.hash.slice(1)))
+        .filter(Boolean);
+
+    if (sections.length === 0 || typeof IntersectionObserver !== 'function') {
+        return null;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach((entry) => {
+            if (entry.isIntersecting) {
+                setActiveNavLink(links, entry.target.id);
+            }
+        });
+    }, { rootMargin: '-50% 0px -50% 0px' });
+
+    sections.forEach(section => observer.observe(section));
+    return observer;
+}
+
+// Typewriter effect for a heading. Only a copy hidden from assistive
+// technology is animated; the full text stays in the heading for screen
+// readers. Skipped when reduced motion is preferred. Returns the animated
+// element, or null
+function typeHeading(heading, { delay = 500, speed = 100 } = {}) {
+    const text = heading.textContent.trim();
+    if (!text || prefersReducedMotion()) {
+        return null;
+    }
+
+    const typed = createElement('span', 'typed-text', '');
+    typed.setAttribute('aria-hidden', 'true');
+    heading.replaceChildren(createElement('span', 'visually-hidden', text), typed);
+
+    let i = 0;
+    const typeWriter = () => {
+        if (i < text.length) {
+            typed.textContent += text.charAt(i);
+            i++;
+            setTimeout(typeWriter, speed);
+        }
+    };
+
+    setTimeout(typeWriter, delay);
+    return typed;
+}
+
+// First-party analytics (see lib/analytics.js): anonymous counts only, no
+// cookies. Nothing is sent when the visitor asks not to be tracked (Do Not
+// Track, Global Privacy Control) or the page has data-analytics="off"
+function trackingAllowed() {
+    if (document.body && document.body.dataset.analytics === 'off') {
+        return false;
+    }
+    return !(navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true);
+}
+
+// Send one event with navigator.sendBeacon, which still goes out while the
+// page unloads; returns whether the event was queued
+function trackEvent(type, name) {
+    if (!trackingAllowed() || typeof navigator.sendBeacon !== 'function') {
+        return false;
+    }
+    return navigator.sendBeacon(apiUrl('/api/events'), JSON.stringify({ type, name }));
+}
+
+// Count each section once, the first time it crosses the middle of the
+// viewport. Returns the observer, or null when there is nothing to watch
+function setupSectionTracking(sections) {
+    if (sections.length === 0 || typeof IntersectionObserver !== 'function') {
+        return null;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach((entry) => {
+            if (entry.isIntersecting) {
+                trackEvent('section', entry.target.id);
+                observer.unobserve(entry.target);
+            }
+        });
+    }, { rootMargin: '-50% 0px -50% 0px' });
+
+    sections.forEach(section => observer.observe(section));
+    return observer;
+}
+
+// Scroll handler reporting each of 25/50/75/100% of the page seen, once
+function createScrollDepthTracker() {
+    const reported = new Set();
+
+    return function trackScrollDepth() {
+        const height = document.documentElement.scrollHeight;
+        const seen = height > 0 ? (window.scrollY + window.innerHeight) / height * 100 : 100;
+
+        [25, 50, 75, 100].forEach((depth) => {
+            if (seen >= depth && !reported.has(depth)) {
+                reported.add(depth);
+                trackEvent('scroll', String(depth));
+            }
+        });
+    };
+}
+
+// Register the offline service worker for the whole app; resolves with the
+// registration, or null when the browser has no service worker support
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        return Promise.resolve(null);
+    }
+
+    return navigator.serviceWorker.register(apiUrl('/sw.js'), { scope: apiUrl('/') })
+        .catch(error => {
+            console.warn('Service worker registration failed:', error);
+            return null;
+        });
+}
+
 document.addEventListener('DOMContentLoaded', function() {
-    // Smooth scrolling for anchor links
+    // Smooth scrolling for anchor links, including the skip link
     const navLinks = document.querySelectorAll('a[href^="#"]');
-    
+
     navLinks.forEach(link => {
         link.addEventListener('click', function(e) {
-            e.preventDefault();
-            
-            const targetId = this.getAttribute('href');
-            const targetSection = document.querySelector(targetId);
-            
+            const targetSection = document.getElementById(this.getAttribute('href').slice(1));
+
             if (targetSection) {
-                const headerHeight = document.querySelector('.header').offsetHeight;
-                const targetPosition = targetSection.offsetTop - headerHeight;
-                
-                window.scrollTo({
-                    top: targetPosition,
-                    behavior: 'smooth'
-                });
+                e.preventDefault();
+                goToSection(targetSection);
             }
         });
     });
 
+    // Mobile menu and scroll-spy for the main navigation
+    const navToggle = document.querySelector('.nav-toggle');
+    const navMenu = document.querySelector('.nav-menu');
+    if (navToggle && navMenu) {
+        setupMobileMenu(navToggle, navMenu);
+    }
+    if (navMenu) {
+        setupScrollSpy([...navMenu.querySelectorAll('a[href^="#"]')]);
+    }
+
     // Add scroll effect to header
     const header = document.querySelector('.header');
-    
-    window.addEventListener('scroll', function() {
-        if (window.scrollY > 100) {
-            header.style.background = 'rgba(255, 255, 255, 0.98)';
-            header.style.boxShadow = '0 2px 20px rgba(0, 0, 0, 0.15)';
-        } else {
-            header.style.background = 'rgba(255, 255, 255, 0.95)';
-            header.style.boxShadow = '0 2px 20px rgba(0, 0, 0, 0.1)';
+
+    if (header) {
+        updateHeaderOnScroll(header);
+        window.addEventListener('scroll', () => updateHeaderOnScroll(header));
+    }
+
+    // Light/dark theme toggle in the nav
+    const themeToggle = document.querySelector('.theme-toggle');
+    if (themeToggle) {
+        setupThemeToggle(themeToggle);
+    }
+
+    // Enrollment modal opened by the CTA buttons
+    const enrollModal = document.getElementById('enroll-modal');
+    const enrollForm = document.getElementById('enroll-form');
+    let lastFocused = null;
+
+    const openEnrollModal = () => {
+        lastFocused = document.activeElement;
+        enrollModal.hidden = false;
+        document.body.classList.add('modal-open');
+        enrollForm.querySelector('input').focus();
+    };
+
+    const closeEnrollModal = () => {
+        enrollModal.hidden = true;
+        document.body.classList.remove('modal-open');
+        if (lastFocused) {
+            lastFocused.focus();
         }
-    });
+    };
 
-    // Add click handlers for CTA buttons
-    const ctaButtons = document.querySelectorAll('.cta-button');
+    const ctaButtons = document.querySelectorAll('.cta-button:not(.form-submit)');
     
     ctaButtons.forEach(button => {
         button.addEventListener('click', function() {
-            // You can add form handling or modal opening logic here
-            alert('Thank you for your interest! This is a demo application. In a real scenario, this would open an enrollment form.');
+            const section = button.closest('section[id]');
+            trackEvent('cta', section ? section.id : 'page');
+            if (enrollModal && enrollForm) {
+                openEnrollModal();
+            }
         });
     });
 
+    if (enrollModal && enrollForm) {
+        enrollModal.querySelector('.modal-close').addEventListener('click', closeEnrollModal);
+
+        // Close when clicking the backdrop or pressing Escape
+        enrollModal.addEventListener('click', function(e) {
+            if (e.target === enrollModal) {
+                closeEnrollModal();
+            }
+        });
+
+        document.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape' && !enrollModal.hidden) {
+                closeEnrollModal();
+            }
+        });
+
+        enrollForm.addEventListener('submit', function(e) {
+            e.preventDefault();
+            handleEnrollmentSubmit(enrollForm);
+        });
+    }
+
+    // Contact form
+    const contactForm = document.getElementById('contact-form');
+    if (contactForm) {
+        loadContactToken(contactForm);
+        contactForm.addEventListener('submit', function(e) {
+            e.preventDefault();
+            handleContactSubmit(contactForm);
+        });
+    }
+
     // Add intersection observer for animations
     const observerOptions = {
         threshold: 0.1,
@@ -61,58 +666,44 @@ document.addEventListener('DOMContentLoaded', function() {
     }, observerOptions);
 
     // Observe elements for animation
-    const animatedElements = document.querySelectorAll('.curriculum-card, .benefit-item');
-    
-    animatedElements.forEach(el => {
+    const animateOnScroll = el => {
+        if (prefersReducedMotion()) {
+            return;
+        }
         el.style.opacity = '0';
         el.style.transform = 'translateY(30px)';
         el.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
         observer.observe(el);
-    });
+    };
+
+    document.querySelectorAll('.curriculum-card, .benefit-item').forEach(animateOnScroll);
+
+    // Render curriculum and benefits from the content API
+    const curriculumGrid = document.querySelector('.curriculum-grid');
+    const benefitsGrid = document.querySelector('.benefits-grid');
+
+    if (curriculumGrid) {
+        renderContent(curriculumGrid, apiUrl('/api/curriculum'), createCurriculumCard)
+            .then(items => items.forEach(animateOnScroll));
+    }
+
+    if (benefitsGrid) {
+        renderContent(benefitsGrid, apiUrl('/api/benefits'), createBenefitItem)
+            .then(items => items.forEach(animateOnScroll));
+    }
+
+    // Countdown and seats left for the next cohort
+    const cohortBanner = document.querySelector('.hero-cohort');
+    if (cohortBanner) {
+        renderCohortBanner(cohortBanner);
+    }
 
     // Add typing effect to hero title
     const heroTitle = document.querySelector('.hero-title');
     if (heroTitle) {
-        const text = heroTitle.textContent;
-        heroTitle.textContent = '';
-        
-        let i = 0;
-        const typeWriter = () => {
-            if (i < text.length) {
-                heroTitle.textContent += text.charAt(i);
-                i++;
-                setTimeout(typeWriter, 100);
-            }
-        };
-        
-        // Start typing effect after a short delay
-        setTimeout(typeWriter, 500);
+        typeHeading(heroTitle);
     }
 
-    // Add counter animation for stats
-    const stats = document.querySelectorAll('.stat-number');
-    
-    const animateCounter = (element, target) => {
-        let current = 0;
-        const increment = target / 50; // Animate over 50 steps
-        
-        const timer = setInterval(() => {
-            current += increment;
-            if (current >= target) {
-                current = target;
-                clearInterval(timer);
-            }
-            
-            if (target === 95) {
-                element.textContent = Math.floor(current) + '%';
-            } else if (target === 12) {
-                element.textContent = Math.floor(current);
-            } else {
-                element.textContent = '24/7';
-            }
-        }, 50);
-    };
-
     // Observe stats section for counter animation
     const statsSection = document.querySelector('.hero-stats');
     if (statsSection) {
@@ -120,14 +711,7 @@ document.addEventListener('DOMContentLoaded', function() {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
                     const statNumbers = entry.target.querySelectorAll('.stat-number');
-                    statNumbers.forEach(stat => {
-                        const text = stat.textContent;
-                        if (text.includes('%')) {
-                            animateCounter(stat, 95);
-                        } else if (text === '12') {
-                            animateCounter(stat, 12);
-                        }
-                    });
+                    statNumbers.forEach(stat => animateCounter(stat));
                     statsObserver.unobserve(entry.target);
                 }
             });
@@ -136,11 +720,25 @@ document.addEventListener('DOMContentLoaded', function() {
         statsObserver.observe(statsSection);
     }
 
+    // Anonymous analytics: the page view, sections reached, CTA clicks (above)
+    // and scroll depth
+    trackEvent('pageview', window.location.pathname);
+    setupSectionTracking([...document.querySelectorAll('main section[id]')]);
+    const trackScrollDepth = createScrollDepthTracker();
+    trackScrollDepth();
+    window.addEventListener('scroll', trackScrollDepth, { passive: true });
+
+    // Keep the page available offline (see sw.js)
+    registerServiceWorker();
+
     // Add hover effects for tech stack items
     const techItems = document.querySelectorAll('.tech-item');
     
     techItems.forEach(item => {
         item.addEventListener('mouseenter', function() {
+            if (prefersReducedMotion()) {
+                return;
+            }
             this.style.transform = 'translateY(-10px) scale(1.05)';
         });
         
@@ -162,3 +760,35 @@ document.addEventListener('DOMContentLoaded', function() {
     Built with ❤️ using Node.js, Express, and vanilla JavaScript
     `);
 });
+
+// Expose helpers for the jsdom test suite
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        apiUrl,
+        message,
+        showFieldErrors,
+        submitEnrollment,
+        handleEnrollmentSubmit,
+        submitContact,
+        loadContactToken,
+        handleContactSubmit,
+        createCurriculumCard,
+        createBenefitItem,
+        renderContent,
+        renderCohortBanner,
+        animateCounter,
+        formatStat,
+        currentTheme,
+        setupThemeToggle,
+        updateHeaderOnScroll,
+        goToSection,
+        setupMobileMenu,
+        setActiveNavLink,
+        setupScrollSpy,
+        typeHeading,
+        trackEvent,
+        setupSectionTracking,
+        createScrollDepthTracker,
+        registerServiceWorker
+    };
+}
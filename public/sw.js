@@ -0,0 +1,94 @@
+// Service worker keeping the showcase usable on flaky connections.
+// The server prepends PRECACHE (app shell URLs relative to the scope, with
+// fingerprinted asset names) and VERSION, which changes whenever they do.
+/* global PRECACHE, VERSION */
+
+const PRECACHE_PREFIX = 'showcase-precache-';
+const PRECACHE_NAME = `${PRECACHE_PREFIX}${VERSION}`;
+const RUNTIME_NAME = 'showcase-runtime';
+
+const scopeUrl = path => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(PRECACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE.map(scopeUrl)))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the shells of previous versions once this one is in charge
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(PRECACHE_PREFIX) && name !== PRECACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Responses the server marks no-store (contact form tokens, admin data)
+// must never be answered from a cache
+const cacheable = response => response.ok && !/no-store/.test(response.headers.get('Cache-Control') || '');
+
+// Pages: network first so content stays fresh, then the last copy seen,
+// then the offline page
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (cacheable(response)) {
+            const cache = await caches.open(RUNTIME_NAME);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (err) {
+        return (await caches.match(request)) || caches.match(scopeUrl('offline.html'));
+    }
+}
+
+// API data: answer from the cache straight away and refresh it in the background
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(RUNTIME_NAME);
+    const cached = await cache.match(event.request);
+    const network = fetch(event.request).then((response) => {
+        if (cacheable(response)) {
+            cache.put(event.request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => undefined));
+        return cached;
+    }
+    return network;
+}
+
+// Shell assets: fingerprinted, so a cached copy is always current
+async function cacheFirst(request) {
+    return (await caches.match(request)) || fetch(request);
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin || request.cache === 'no-store') {
+        return;
+    }
+
+    // The admin dashboard is private and always live; never cache it
+    const adminUrl = scopeUrl('admin');
+    if (url.href === adminUrl || url.href.startsWith(`${adminUrl}/`) || url.href.startsWith(`${adminUrl}?`)) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (url.href.startsWith(scopeUrl('api/'))) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
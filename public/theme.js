@@ -0,0 +1,13 @@
+// Loaded in <head> so a theme chosen with the toggle (see script.js) is in
+// place before the first paint. Without a choice, styles.css follows the
+// system's prefers-color-scheme.
+(function() {
+    try {
+        const theme = localStorage.getItem('theme');
+        if (theme === 'light' || theme === 'dark') {
+            document.documentElement.dataset.theme = theme;
+        }
+    } catch (err) {
+        // Storage unavailable: keep the system theme
+    }
+})();
@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+// Precompress the static assets: writes `.br` and `.gz` siblings next to
+// each compressible file so the server can send them as-is.
+const path = require('path');
+const { compressAssets } = require('../lib/assets');
+
+const dir = path.resolve(process.argv[2] || path.join(__dirname, '..', 'public'));
+const written = compressAssets(dir);
+
+console.log(`Precompressed ${written.length / 2} file(s) in ${dir}`);
+written.forEach(name => console.log(`  ${name}`));
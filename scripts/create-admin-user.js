@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+// Create an admin dashboard user, or reset the password of an existing one:
+//   npm run admin:user -- <username>
+// The password is read from ADMIN_PASSWORD or, failing that, the first line
+// of standard input, so it never shows up in the shell history.
+const readline = require('readline');
+const { loadConfig } = require('../lib/config');
+const { createStore } = require('../lib/store');
+const { createUserStore } = require('../lib/auth');
+
+async function readPassword() {
+  if (process.env.ADMIN_PASSWORD) {
+    return process.env.ADMIN_PASSWORD;
+  }
+  if (process.stdin.isTTY) {
+    process.stdout.write('Password: ');
+  }
+  const lines = readline.createInterface({ input: process.stdin });
+  for await (const line of lines) {
+    lines.close();
+    return line;
+  }
+  return '';
+}
+
+async function main() {
+  const [username] = process.argv.slice(2);
+  if (!username) {
+    throw new Error('Usage: npm run admin:user -- <username>');
+  }
+
+  const config = loadConfig();
+  const users = createUserStore(createStore(config.dataDir));
+  const user = await users.add(username, await readPassword());
+
+  console.log(`Saved admin user "${user.username}" in ${config.dataDir}`);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
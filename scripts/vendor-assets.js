@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+// Copy the Inter font and the icons the pages use from node_modules into
+// public/vendor/ and generate public/vendor/vendor.css, so the site needs no
+// third-party origins. Re-run after changing ICONS or upgrading the packages.
+const fs = require('fs');
+const path = require('path');
+
+const MODULES = path.join(__dirname, '..', 'node_modules');
+const OUT_DIR = path.join(__dirname, '..', 'public', 'vendor');
+
+const FONT = {
+  package: '@fontsource-variable/inter',
+  css: 'wght.css',
+  file: 'inter-latin-wght-normal.woff2'
+};
+
+// Icon class -> SVG source. Only these icons are shipped; aliases cover the
+// Font Awesome 5 names still used in the markup and content files
+const FONT_AWESOME = '@fortawesome/fontawesome-free/svgs';
+const ICONS = {
+  'fa-aws': `${FONT_AWESOME}/brands/aws.svg`,
+  'fa-bars': `${FONT_AWESOME}/solid/bars.svg`,
+  'fa-certificate': `${FONT_AWESOME}/solid/certificate.svg`,
+  'fa-chart-line': `${FONT_AWESOME}/solid/chart-line.svg`,
+  'fa-cloud': `${FONT_AWESOME}/solid/cloud.svg`,
+  'fa-code': `${FONT_AWESOME}/solid/code.svg`,
+  'fa-cogs': `${FONT_AWESOME}/solid/gears.svg`,
+  'fa-docker': `${FONT_AWESOME}/brands/docker.svg`,
+  'fa-envelope': `${FONT_AWESOME}/solid/envelope.svg`,
+  'fa-github': `${FONT_AWESOME}/brands/github.svg`,
+  'fa-home': `${FONT_AWESOME}/solid/house.svg`,
+  // Not part of Font Awesome Free
+  'fa-kubernetes': 'simple-icons/icons/kubernetes.svg',
+  'fa-laptop-code': `${FONT_AWESOME}/solid/laptop-code.svg`,
+  'fa-linkedin': `${FONT_AWESOME}/brands/linkedin.svg`,
+  'fa-map-marker-alt': `${FONT_AWESOME}/solid/location-dot.svg`,
+  'fa-moon': `${FONT_AWESOME}/solid/moon.svg`,
+  'fa-network-wired': `${FONT_AWESOME}/solid/network-wired.svg`,
+  'fa-phone': `${FONT_AWESOME}/solid/phone.svg`,
+  'fa-rocket': `${FONT_AWESOME}/solid/rocket.svg`,
+  'fa-server': `${FONT_AWESOME}/solid/server.svg`,
+  'fa-ship': `${FONT_AWESOME}/solid/ship.svg`,
+  'fa-sun': `${FONT_AWESOME}/solid/sun.svg`,
+  'fa-twitter': `${FONT_AWESOME}/brands/twitter.svg`,
+  'fa-users': `${FONT_AWESOME}/solid/users.svg`,
+  'fa-wifi': `${FONT_AWESOME}/solid/wifi.svg`,
+  'fa-xmark': `${FONT_AWESOME}/solid/xmark.svg`,
+  'fa-youtube': `${FONT_AWESOME}/brands/youtube.svg`
+};
+
+const LICENSES = {
+  'LICENSE-inter.txt': '@fontsource-variable/inter/LICENSE',
+  'LICENSE-fontawesome.txt': '@fortawesome/fontawesome-free/LICENSE.txt',
+  'LICENSE-simple-icons.md': 'simple-icons/LICENSE.md'
+};
+
+function copy(from, to) {
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  fs.copyFileSync(path.join(MODULES, from), to);
+}
+
+function fontFace() {
+  const css = fs.readFileSync(path.join(MODULES, FONT.package, FONT.css), 'utf8');
+  const block = css.split('@font-face').find(rule => rule.includes(FONT.file));
+  const [, unicodeRange] = block.match(/unicode-range:\s*([^;]+);/);
+
+  copy(`${FONT.package}/files/${FONT.file}`, path.join(OUT_DIR, 'fonts', FONT.file));
+
+  return [
+    '@font-face {',
+    "    font-family: 'Inter';",
+    '    font-style: normal;',
+    '    font-display: swap;',
+    '    font-weight: 100 900;',
+    `    src: url(fonts/${FONT.file}) format('woff2');`,
+    `    unicode-range: ${unicodeRange};`,
+    '}'
+  ].join('\n');
+}
+
+// Icons are drawn in the current text colour through a CSS mask, sized from
+// the SVG's aspect ratio the way the icon font would
+function iconRules() {
+  return Object.entries(ICONS).map(([className, source]) => {
+    const name = className.replace(/^fa-/, '');
+    const svg = fs.readFileSync(path.join(MODULES, source), 'utf8');
+    const [, , , width, height] = svg.match(/viewBox="([\d.-]+) ([\d.-]+) ([\d.]+) ([\d.]+)"/).map(Number);
+
+    copy(source, path.join(OUT_DIR, 'icons', `${name}.svg`));
+
+    const rule = [`.${className} {`, `    --icon: url(icons/${name}.svg);`];
+    if (width !== height) {
+      rule.push(`    width: ${Math.round(width / height * 1000) / 1000}em;`);
+    }
+    rule.push('}');
+    return rule.join('\n');
+  });
+}
+
+fs.rmSync(OUT_DIR, { recursive: true, force: true });
+
+const css = [
+  '/* Generated by scripts/vendor-assets.js - do not edit */',
+  '',
+  fontFace(),
+  '',
+  '.fas,',
+  '.fab {',
+  '    display: inline-block;',
+  '    width: 1em;',
+  '    height: 1em;',
+  '    vertical-align: -0.125em;',
+  '    background-color: currentColor;',
+  '    -webkit-mask: var(--icon) center / contain no-repeat;',
+  '    mask: var(--icon) center / contain no-repeat;',
+  '}',
+  '',
+  ...iconRules().join('\n\n').split('\n'),
+  ''
+].join('\n');
+
+fs.writeFileSync(path.join(OUT_DIR, 'vendor.css'), css);
+Object.entries(LICENSES).forEach(([name, source]) => copy(source, path.join(OUT_DIR, name)));
+
+console.log(`Vendored Inter and ${Object.keys(ICONS).length} icons into ${OUT_DIR}`);
@@ -1,56 +1,294 @@
 const express = require('express');
+const compression = require('compression');
+const crypto = require('crypto');
+const fs = require('fs');
 const path = require('path');
+const { loadConfig } = require('./lib/config');
+const { createStore } = require('./lib/store');
+const { createEnrollmentsRouter } = require('./lib/enrollments');
+const { createContentStore, createContentRouter } = require('./lib/content');
+const { createHomeHandler } = require('./lib/home');
+const { createCohortService, createCohortsRouter } = require('./lib/cohorts');
+const { createFormTokens, createContactRouter } = require('./lib/contact');
+const { createEventCounter, anonymousLogging, createAnalyticsRouter } = require('./lib/analytics');
+const { createSeoRouter } = require('./lib/seo');
+const { createMailTransport } = require('./lib/mail');
+const { createHealthRegistry, createHealthRouter } = require('./lib/health');
+const { createMetrics } = require('./lib/metrics');
+const { createLogger, requestId, requestLogger } = require('./lib/logger');
+const { createServer: createHttpServer, handleShutdownSignals } = require('./lib/lifecycle');
+const { securityHeaders, createCspReportRouter } = require('./lib/security');
+const { createRateLimiters } = require('./lib/rate-limit');
+const { createNotFoundHandler, createErrorHandler } = require('./lib/errors');
+const { createAssetManifest, serveAssets, staticHeaders } = require('./lib/assets');
+const { createServiceWorkerHandler } = require('./lib/service-worker');
+const { createI18n } = require('./lib/i18n');
+const { createAdminRouter } = require('./lib/admin');
+const { createUserStore, createSessionMiddleware, createRequireApiAccess } = require('./lib/auth');
 
-const app = express();
-const PORT = process.env.PORT || 3000;
+const PUBLIC_DIR = path.join(__dirname, 'public');
 
-// Disable X-Powered-By header for security
-app.disable('x-powered-by');
+// Optional subsystems; all enabled unless switched off in createApp's `features`
+const DEFAULT_FEATURES = {
+  admin: true,
+  analytics: true,
+  compression: true,
+  contact: true,
+  enrollments: true,
+  metrics: true,
+  rateLimit: true,
+  requestLogging: true,
+  securityHeaders: true
+};
 
-// Serve static files from the public directory
-app.use(express.static(path.join(__dirname, 'public')));
+/**
+ * Build an isolated Express app: each call gets its own logger, metrics
+ * registry, rate-limit counters and lifecycle state, so several instances can
+ * run side by side or be mounted inside another Express app. Instances on the
+ * same data directory share its store (see lib/store.js).
+ *
+ * Options:
+ * - `config`    settings from lib/config.js (default: loaded from the environment)
+ * - `staticDir` directory served as static assets (default: ./public)
+ * - `logger`    logger with debug/info/warn/error methods (default: JSON logger at `config.logLevel`)
+ * - `mailTransport` outgoing mail (default: the transport `config` picks, see lib/mail.js)
+ * - `features`  toggles merged over DEFAULT_FEATURES, e.g. `{ metrics: false }`
+ */
+function createApp(options = {}) {
+  const {
+    config = loadConfig(),
+    staticDir = PUBLIC_DIR,
+    logger = createLogger({ level: config.logLevel }),
+    mailTransport = createMailTransport({
+      transport: config.mailTransport,
+      outboxDir: config.mailOutboxDir || path.join(config.dataDir, 'outbox'),
+      smtpUrl: config.smtpUrl
+    })
+  } = options;
 
-// Set up middleware for logging
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
-  next();
-});
+  const unknownFeatures = Object.keys(options.features || {}).filter(name => !(name in DEFAULT_FEATURES));
+  if (unknownFeatures.length > 0) {
+    throw new TypeError(`Unknown feature(s): ${unknownFeatures.join(', ')}`);
+  }
+  const features = Object.freeze({ ...DEFAULT_FEATURES, ...options.features });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+  const app = express();
+  const store = createStore(config.dataDir);
+  const content = createContentStore(config.contentDir);
+  const cohorts = createCohortService({ content, store });
+  const metrics = createMetrics({ collectDefaults: features.metrics });
+  const assets = createAssetManifest(staticDir);
+  const i18n = createI18n();
+  // Signs admin sessions and contact form tokens. Without SESSION_SECRET, a
+  // per-instance key is used, which does not survive a restart
+  const secret = config.sessionSecret || crypto.randomBytes(32).toString('hex');
+  const contactTokens = features.contact ? createFormTokens(secret) : null;
+  // Analytics events, counted in memory and written in batches
+  const analytics = features.analytics ? createEventCounter({ store, logger }) : null;
+
+  // Shared lifecycle state; `shuttingDown` fails readiness so traffic drains
+  const lifecycle = { shuttingDown: false };
+
+  // Readiness checks, one per dependency
+  const health = createHealthRegistry();
+  health.register('store', () => store.ping());
+  health.register('static', () => fs.promises.access(path.join(staticDir, 'index.html')));
+  health.register('shutdown', () => {
+    if (lifecycle.shuttingDown) {
+      throw new Error('Shutdown in progress');
+    }
   });
-});
-
-// Serve the main page
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-
-// Handle 404 errors
-app.use((req, res) => {
-  res.status(404).sendFile(path.join(__dirname, 'public', '404.html'));
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    error: 'Something went wrong!',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+
+  // Disable X-Powered-By header for security
+  app.disable('x-powered-by');
+
+  // Client IPs come from X-Forwarded-For only when behind a trusted proxy
+  app.set('trust proxy', config.trustProxy);
+
+  // Request IDs, structured request logs and metrics come first so static
+  // assets are covered too
+  app.use(requestId());
+  if (features.requestLogging) {
+    app.use(requestLogger(logger));
+    // Analytics beacons are logged without IP address or user agent, even
+    // when a body parser or rate limit below rejects them
+    if (analytics) {
+      app.use('/api/events', anonymousLogging);
+    }
+  }
+  if (features.metrics) {
+    app.use(metrics.middleware);
+  }
+
+  // gzip/brotli for rendered pages and API responses; static assets with a
+  // precompressed sibling are sent as-is (see lib/assets.js)
+  if (features.compression) {
+    app.use(compression());
+  }
+
+  // Views link assets and API calls relative to where the app is mounted;
+  // `asset('styles.css')` gives the fingerprinted URL of a static file
+  app.use((req, res, next) => {
+    const basePath = req.app.path();
+    res.locals.basePath = basePath;
+    res.locals.asset = name => `${basePath}/${assets.url(name)}`;
+    res.locals.features = features;
+    next();
   });
-});
+
+  // Security headers (CSP with per-request nonces, HSTS in production, ...)
+  if (features.securityHeaders) {
+    app.use(securityHeaders({
+      env: config.env,
+      cspReportOnly: config.cspReportOnly
+    }));
+  }
+
+  // Render the landing page with EJS
+  app.set('view engine', 'ejs');
+  app.set('views', path.join(__dirname, 'views'));
+
+  // Service worker with the current precache list; never cached by the browser
+  app.get('/sw.js', createServiceWorkerHandler({ assets }));
+
+  // Serve static files from the public directory: fingerprinted URLs are
+  // immutable, HTML and plain asset names are revalidated. `/` is rendered
+  // by the home route
+  app.use(serveAssets(assets));
+  app.use(express.static(staticDir, { index: false, cacheControl: false, setHeaders: staticHeaders }));
+
+  // Per-IP rate limits; /health is exempt. Mounted after the static files so
+  // a first visit's assets and the service worker precache do not count
+  if (features.rateLimit) {
+    createRateLimiters().forEach(({ path: limitedPath, middleware }) => {
+      app.use(limitedPath, middleware);
+    });
+  }
+
+  // Health check, liveness and readiness endpoints
+  app.use('/health', createHealthRouter({ registry: health, commit: config.gitCommit }));
+
+  // CSP violation reports sent by browsers
+  if (features.securityHeaders) {
+    app.use('/csp-report', createCspReportRouter({ logger }));
+  }
+
+  // Prometheus scrape endpoint
+  if (features.metrics) {
+    app.get('/metrics', metrics.handler);
+  }
+
+  // robots.txt and sitemap.xml, generated from the config
+  const seo = { siteUrl: config.siteUrl, allowIndexing: config.allowIndexing };
+  app.use(createSeoRouter({ content, i18n, ...seo }));
+
+  // Locale for pages and API responses: ?lang=, the lang cookie, then
+  // Accept-Language. Static assets above are the same in every language
+  app.use(i18n.middleware);
+
+  // JSON API
+  app.use('/api', express.json({ limit: '10kb' }));
+  app.use('/api', createContentRouter({ content }));
+  app.use('/api/cohorts', createCohortsRouter({ cohorts, siteUrl: config.siteUrl }));
+  // The analytics summary is for signed-in admins or ANALYTICS_TOKEN holders
+  if (analytics) {
+    app.use('/api', createAnalyticsRouter({
+      store,
+      counter: analytics,
+      requireAccess: [
+        createSessionMiddleware({ store, secret, secure: config.env === 'production' }),
+        createRequireApiAccess({ users: createUserStore(store), token: config.analyticsToken })
+      ]
+    }));
+  }
+  if (features.enrollments) {
+    app.use('/api/enrollments', createEnrollmentsRouter({ store, cohorts }));
+  }
+  if (contactTokens) {
+    app.use('/api/contact', createContactRouter({
+      store,
+      content,
+      transport: mailTransport,
+      tokens: contactTokens,
+      from: config.mailFrom,
+      to: config.contactTo,
+      logger
+    }));
+  }
+
+  // Admin dashboard: leads and content editing for signed-in users
+  if (features.admin) {
+    if (!config.sessionSecret && config.env === 'production') {
+      logger.warn('SESSION_SECRET is not set; admin sign-ins will not survive a restart');
+    }
+    app.use('/admin', createAdminRouter({
+      store,
+      content,
+      assets,
+      i18n,
+      logger,
+      secret,
+      secure: config.env === 'production'
+    }));
+  }
+
+  // Serve the main page, falling back to the static index.html
+  app.get('/', createHomeHandler({ content, cohorts, assets, i18n, logger, seo, contactTokens }));
+
+  // Handle 404 errors
+  app.use(createNotFoundHandler({ metrics }));
+
+  // Error handling middleware; both handlers negotiate JSON, HTML or text
+  app.use(createErrorHandler({
+    logger,
+    metrics,
+    exposeErrors: config.env === 'development'
+  }));
+
+  // HTTP server for this app with graceful shutdown; see lib/lifecycle.js.
+  // Analytics counts still in memory are written once it has closed
+  function createServer(options = {}) {
+    return createHttpServer(app, {
+      lifecycle,
+      logger,
+      shutdownTimeoutMs: config.shutdownTimeoutMs,
+      onClosed: () => analytics && analytics.flush(),
+      ...options
+    });
+  }
+
+  return Object.assign(app, { config, features, logger, metrics, health, lifecycle, assets, i18n, analytics, createServer });
+}
+
+let app;
+try {
+  app = createApp();
+} catch (err) {
+  // Fail fast with a readable message instead of a stack trace
+  if (require.main !== module) {
+    throw err;
+  }
+  console.error(err.message);
+  process.exit(1);
+}
 
 // Only start the server if this file is run directly
 if (require.main === module) {
-  app.listen(PORT, () => {
-    console.log(`🚀 DevOps Bootcamp Showcase server running on http://localhost:${PORT}`);
-    console.log(`📊 Health check available at http://localhost:${PORT}/health`);
+  const { port } = app.config;
+  const server = app.createServer();
+
+  server.listen(port).then(() => {
+    app.logger.info(`🚀 DevOps Bootcamp Showcase server running on http://localhost:${port}`, { port });
+    app.logger.info(`📊 Health check available at http://localhost:${port}/health`);
+  }).catch((err) => {
+    app.logger.error('failed to start server', { error: err.message });
+    process.exit(1);
   });
+
+  handleShutdownSignals(server, { logger: app.logger });
 }
 
 // Export the app for testing
 module.exports = app;
+module.exports.createApp = createApp;
+module.exports.DEFAULT_FEATURES = DEFAULT_FEATURES;
@@ -19,6 +19,46 @@ global.IntersectionObserver = class IntersectionObserver {
 // Mock setTimeout and setInterval for testing
 jest.useFakeTimers();
 
+const {
+  apiUrl,
+  message,
+  handleEnrollmentSubmit,
+  loadContactToken,
+  handleContactSubmit,
+  createCurriculumCard,
+  createBenefitItem,
+  renderContent,
+  animateCounter,
+  formatStat,
+  currentTheme,
+  setupThemeToggle,
+  updateHeaderOnScroll,
+  goToSection,
+  setupMobileMenu,
+  setActiveNavLink,
+  setupScrollSpy,
+  typeHeading,
+  registerServiceWorker,
+  renderCohortBanner,
+  trackEvent,
+  setupSectionTracking,
+  createScrollDepthTracker
+} = require('../public/script.js');
+
+const enrollModalHTML = `
+  <div class="modal" id="enroll-modal" hidden>
+    <button type="button" class="modal-close">&times;</button>
+    <form id="enroll-form" novalidate>
+      <input type="text" id="enroll-name" name="name">
+      <span class="field-error" data-error-for="name"></span>
+      <input type="email" id="enroll-email" name="email">
+      <span class="field-error" data-error-for="email"></span>
+      <p class="form-status"></p>
+      <button type="submit" class="form-submit">Submit</button>
+    </form>
+  </div>
+`;
+
 describe('Client-side JavaScript Tests', () => {
   let mockHTML;
   
@@ -134,6 +174,149 @@ describe('Client-side JavaScript Tests', () => {
     });
   });
 
+  describe('Accessible Navigation', () => {
+    const mockReducedMotion = (reduce) => {
+      window.matchMedia = jest.fn().mockReturnValue({ matches: reduce });
+    };
+
+    beforeEach(() => {
+      document.querySelector('header nav').insertAdjacentHTML('beforeend', `
+        <button type="button" class="nav-toggle" aria-expanded="false" aria-controls="nav-menu">Menu</button>
+        <ul class="nav-menu" id="nav-menu">
+          <li><a href="#home">Home</a></li>
+          <li><a href="#curriculum">Curriculum</a></li>
+          <li><a href="#benefits">Benefits</a></li>
+        </ul>
+      `);
+      history.replaceState(null, '', '/');
+      window.scrollTo.mockClear();
+    });
+
+    afterEach(() => {
+      delete window.matchMedia;
+    });
+
+    test('should move focus to the target section and update the URL hash', () => {
+      const section = document.getElementById('curriculum');
+
+      goToSection(section);
+
+      expect(window.location.hash).toBe('#curriculum');
+      expect(section).toHaveAttribute('tabindex', '-1');
+      expect(document.activeElement).toBe(section);
+      expect(window.scrollTo).toHaveBeenCalledWith(expect.objectContaining({ behavior: 'smooth' }));
+    });
+
+    test('should jump without smooth scrolling when reduced motion is preferred', () => {
+      mockReducedMotion(true);
+
+      goToSection(document.getElementById('benefits'));
+
+      expect(window.scrollTo).toHaveBeenCalledWith(expect.objectContaining({ behavior: 'auto' }));
+    });
+
+    test('should handle in-page links once the page has loaded', () => {
+      document.dispatchEvent(new Event('DOMContentLoaded'));
+      const event = new MouseEvent('click', { bubbles: true, cancelable: true });
+
+      document.querySelector('.nav-menu a[href="#benefits"]').dispatchEvent(event);
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(window.location.hash).toBe('#benefits');
+      expect(document.activeElement).toBe(document.getElementById('benefits'));
+    });
+
+    test('should open and close the mobile menu from its button', () => {
+      const toggle = document.querySelector('.nav-toggle');
+      const menu = document.querySelector('.nav-menu');
+      setupMobileMenu(toggle, menu);
+
+      toggle.click();
+      expect(toggle).toHaveAttribute('aria-expanded', 'true');
+      expect(menu).toHaveClass('open');
+
+      toggle.click();
+      expect(toggle).toHaveAttribute('aria-expanded', 'false');
+      expect(menu).not.toHaveClass('open');
+    });
+
+    test('should close the mobile menu on Escape and return focus to its button', () => {
+      const toggle = document.querySelector('.nav-toggle');
+      const menu = document.querySelector('.nav-menu');
+      setupMobileMenu(toggle, menu);
+
+      toggle.click();
+      menu.querySelector('a').focus();
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+      expect(toggle).toHaveAttribute('aria-expanded', 'false');
+      expect(document.activeElement).toBe(toggle);
+    });
+
+    test('should close the mobile menu when a link is followed', () => {
+      const toggle = document.querySelector('.nav-toggle');
+      const menu = document.querySelector('.nav-menu');
+      setupMobileMenu(toggle, menu);
+
+      toggle.click();
+      menu.querySelector('a[href="#curriculum"]').click();
+
+      expect(toggle).toHaveAttribute('aria-expanded', 'false');
+      expect(menu).not.toHaveClass('open');
+    });
+
+    test('should mark the nav link of the section in view', () => {
+      const links = [...document.querySelectorAll('.nav-menu a')];
+      const OriginalObserver = global.IntersectionObserver;
+      let callback;
+      const observed = [];
+      global.IntersectionObserver = class {
+        constructor(cb) {
+          callback = cb;
+        }
+
+        observe(el) {
+          observed.push(el.id);
+        }
+      };
+
+      try {
+        expect(setupScrollSpy(links)).not.toBeNull();
+        expect(observed).toEqual(['home', 'curriculum', 'benefits']);
+
+        callback([{ isIntersecting: true, target: document.getElementById('curriculum') }]);
+        expect(links[1]).toHaveAttribute('aria-current', 'true');
+        expect(links.filter(link => link.hasAttribute('aria-current'))).toHaveLength(1);
+
+        setActiveNavLink(links, 'benefits');
+        expect(links[1]).not.toHaveAttribute('aria-current');
+        expect(links[2]).toHaveAttribute('aria-current', 'true');
+      } finally {
+        global.IntersectionObserver = OriginalObserver;
+      }
+    });
+
+    test('should keep the hero heading readable while it is typed', () => {
+      const heading = document.querySelector('.hero-title');
+
+      const typed = typeHeading(heading, { delay: 0, speed: 10 });
+
+      expect(heading.querySelector('.visually-hidden').textContent).toBe('Master DevOps in 12 Weeks');
+      expect(typed).toHaveAttribute('aria-hidden', 'true');
+      jest.advanceTimersByTime(1000);
+      expect(typed.textContent).toBe('Master DevOps in 12 Weeks');
+    });
+
+    test('should not type the hero heading when reduced motion is preferred', () => {
+      mockReducedMotion(true);
+      const heading = document.querySelector('.hero-title');
+
+      expect(typeHeading(heading)).toBeNull();
+      expect(heading.textContent).toBe('Master DevOps in 12 Weeks');
+      expect(heading.children).toHaveLength(0);
+    });
+  });
+
   describe('Header Scroll Effects', () => {
     test('should find header element', () => {
       const header = document.querySelector('.header');
@@ -142,23 +325,102 @@ describe('Client-side JavaScript Tests', () => {
 
     test('should handle scroll events', () => {
       const header = document.querySelector('.header');
-      const mockScrollEvent = new Event('scroll');
-      
+
       // Mock scroll position
       Object.defineProperty(window, 'scrollY', {
         value: 150,
         writable: true
       });
-      
-      // Simulate scroll event handler
-      const handleScroll = () => {
-        if (window.scrollY > 100) {
-          header.style.background = 'rgba(255, 255, 255, 0.98)';
-        }
-      };
-      
-      handleScroll();
-      expect(header.style.background).toBe('rgba(255, 255, 255, 0.98)');
+
+      updateHeaderOnScroll(header);
+      expect(header).toHaveClass('header-scrolled');
+
+      window.scrollY = 0;
+      updateHeaderOnScroll(header);
+      expect(header).not.toHaveClass('header-scrolled');
+    });
+
+    test('should leave the header colors to the stylesheet', () => {
+      const header = document.querySelector('.header');
+      window.scrollY = 150;
+
+      document.dispatchEvent(new Event('DOMContentLoaded'));
+      window.dispatchEvent(new Event('scroll'));
+
+      expect(header).toHaveClass('header-scrolled');
+      expect(header.getAttribute('style')).toBeNull();
+      window.scrollY = 0;
+    });
+  });
+
+  describe('Theme Toggle', () => {
+    const fs = require('fs');
+    const path = require('path');
+    const themeScript = fs.readFileSync(path.join(__dirname, '../public/theme.js'), 'utf8');
+    const mockColorScheme = (dark) => {
+      const query = { matches: dark, addEventListener: jest.fn() };
+      window.matchMedia = jest.fn().mockReturnValue(query);
+      return query;
+    };
+    let button;
+
+    beforeEach(() => {
+      document.body.insertAdjacentHTML('beforeend',
+        '<button type="button" class="theme-toggle" aria-pressed="false" hidden></button>');
+      button = document.querySelector('.theme-toggle');
+    });
+
+    afterEach(() => {
+      delete window.matchMedia;
+      delete document.documentElement.dataset.theme;
+      localStorage.clear();
+    });
+
+    test('should follow the system color scheme until a theme is chosen', () => {
+      const query = mockColorScheme(true);
+
+      setupThemeToggle(button);
+
+      expect(currentTheme()).toBe('dark');
+      expect(button.hidden).toBe(false);
+      expect(button).toHaveAttribute('aria-pressed', 'true');
+
+      query.matches = false;
+      query.addEventListener.mock.calls[0][1]();
+      expect(button).toHaveAttribute('aria-pressed', 'false');
+    });
+
+    test('should switch themes and remember the choice', () => {
+      mockColorScheme(false);
+      setupThemeToggle(button);
+
+      button.click();
+      expect(document.documentElement.dataset.theme).toBe('dark');
+      expect(localStorage.getItem('theme')).toBe('dark');
+      expect(button).toHaveAttribute('aria-pressed', 'true');
+
+      button.click();
+      expect(document.documentElement.dataset.theme).toBe('light');
+      expect(localStorage.getItem('theme')).toBe('light');
+      expect(button).toHaveAttribute('aria-pressed', 'false');
+    });
+
+    test('should prefer a chosen theme over the system preference', () => {
+      mockColorScheme(true);
+      document.documentElement.dataset.theme = 'light';
+
+      expect(currentTheme()).toBe('light');
+    });
+
+    test('should apply the saved theme before the page renders', () => {
+      localStorage.setItem('theme', 'dark');
+      new Function(themeScript)();
+      expect(document.documentElement.dataset.theme).toBe('dark');
+
+      delete document.documentElement.dataset.theme;
+      localStorage.setItem('theme', 'sepia');
+      new Function(themeScript)();
+      expect(document.documentElement.dataset.theme).toBeUndefined();
     });
   });
 
@@ -168,19 +430,175 @@ describe('Client-side JavaScript Tests', () => {
       expect(ctaButtons.length).toBeGreaterThan(0);
     });
 
-    test('should handle CTA button clicks', () => {
-      const ctaButton = document.querySelector('.cta-button');
-      const mockAlert = jest.spyOn(window, 'alert').mockImplementation(() => {});
-      
-      // Simulate click handler
-      const handleClick = () => {
-        alert('Thank you for your interest! This is a demo application.');
-      };
-      
-      handleClick();
-      expect(mockAlert).toHaveBeenCalledWith('Thank you for your interest! This is a demo application.');
-      
-      mockAlert.mockRestore();
+    test('should open the enrollment modal on CTA click', () => {
+      document.body.insertAdjacentHTML('beforeend', enrollModalHTML);
+      document.dispatchEvent(new Event('DOMContentLoaded'));
+
+      const modal = document.getElementById('enroll-modal');
+      document.querySelector('.cta-button').click();
+
+      expect(modal.hidden).toBe(false);
+      expect(document.activeElement).toBe(document.getElementById('enroll-name'));
+    });
+  });
+
+  describe('Enrollment Form', () => {
+    let form;
+
+    beforeEach(() => {
+      document.body.insertAdjacentHTML('beforeend', enrollModalHTML);
+      form = document.getElementById('enroll-form');
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    test('should show field-level errors returned by the API', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 400,
+        json: () => Promise.resolve({
+          message: 'Please correct the highlighted fields',
+          fields: { email: 'Please enter a valid email address' }
+        })
+      });
+
+      await handleEnrollmentSubmit(form);
+
+      expect(form.querySelector('[data-error-for="email"]').textContent).toBe('Please enter a valid email address');
+      expect(form.elements.email).toHaveAttribute('aria-invalid', 'true');
+      expect(form.querySelector('[data-error-for="name"]').textContent).toBe('');
+      expect(form.querySelector('.form-status').textContent).toBe('Please correct the highlighted fields');
+    });
+
+    test('should post form fields as JSON and reset on success', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 201,
+        json: () => Promise.resolve({ id: 'abc' })
+      });
+      form.elements.name.value = 'Ada Lovelace';
+      form.elements.email.value = 'ada@example.com';
+
+      await handleEnrollmentSubmit(form);
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('/api/enrollments');
+      expect(JSON.parse(options.body)).toMatchObject({ name: 'Ada Lovelace', email: 'ada@example.com' });
+      expect(form.elements.name.value).toBe('');
+      expect(form.querySelector('.form-status').textContent).toMatch(/Thank you/);
+    });
+
+    test('should tell waitlisted visitors their place in line', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 201,
+        json: () => Promise.resolve({ id: 'abc', status: 'waitlisted', waitlistPosition: 3 })
+      });
+
+      await handleEnrollmentSubmit(form);
+
+      expect(form.querySelector('.form-status').textContent).toMatch(/number 3 on the waitlist/);
+    });
+
+    test('should report network failures', async () => {
+      global.fetch = jest.fn().mockRejectedValue(new Error('offline'));
+
+      await handleEnrollmentSubmit(form);
+
+      expect(form.querySelector('.form-status').textContent).toMatch(/Could not reach the server/);
+      expect(form.querySelector('[type="submit"]').disabled).toBe(false);
+    });
+  });
+
+  describe('Contact Form', () => {
+    let form;
+
+    beforeEach(() => {
+      document.body.insertAdjacentHTML('beforeend', `
+        <form id="contact-form" novalidate>
+          <input type="text" name="name">
+          <span class="field-error" data-error-for="name"></span>
+          <input type="email" name="email">
+          <textarea name="message"></textarea>
+          <span class="field-error" data-error-for="message"></span>
+          <input type="text" name="website" tabindex="-1">
+          <input type="hidden" name="token" value="1760000000000.signature">
+          <p class="form-status"></p>
+          <button type="submit">Send</button>
+        </form>
+      `);
+      form = document.getElementById('contact-form');
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    test('should send the form token with the message', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 201,
+        json: () => Promise.resolve({ id: 'abc' })
+      });
+      form.elements.name.value = 'Grace Hopper';
+      form.elements.message.value = 'Do you offer evening classes?';
+
+      await handleContactSubmit(form);
+
+      const [url, options] = global.fetch.mock.calls[0];
+      const payload = JSON.parse(options.body);
+      expect(url).toBe('/api/contact');
+      expect(payload).toMatchObject({
+        name: 'Grace Hopper',
+        message: 'Do you offer evening classes?',
+        website: '',
+        token: '1760000000000.signature'
+      });
+      expect(form.elements.message.value).toBe('');
+      expect(form.elements.token.value).toBe('1760000000000.signature');
+      expect(form.querySelector('.form-status').textContent).toMatch(/Thanks for getting in touch/);
+    });
+
+    test('should fetch a token when the page has none', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({ token: '1760000001234.fetched' })
+      });
+      form.elements.token.removeAttribute('value');
+
+      await loadContactToken(form);
+      form.reset();
+
+      expect(global.fetch).toHaveBeenCalledWith('/api/contact/token', { cache: 'no-store' });
+      expect(form.elements.token.value).toBe('1760000001234.fetched');
+    });
+
+    test('should keep a token the server rendered', async () => {
+      global.fetch = jest.fn();
+
+      await loadContactToken(form);
+
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should show field errors returned by the API', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 400,
+        json: () => Promise.resolve({
+          message: 'Please correct the highlighted fields',
+          fields: { message: 'Please write a message of at least 10 characters' }
+        })
+      });
+
+      await handleContactSubmit(form);
+
+      expect(form.querySelector('[data-error-for="message"]').textContent).toBe('Please write a message of at least 10 characters');
+      expect(form.elements.message).toHaveAttribute('aria-invalid', 'true');
+      expect(form.querySelector('.form-status').textContent).toBe('Please correct the highlighted fields');
     });
   });
 
@@ -199,6 +617,452 @@ describe('Client-side JavaScript Tests', () => {
     });
   });
 
+  describe('Content Rendering', () => {
+    const module = {
+      title: 'Containerization',
+      description: 'Learn Docker fundamentals.',
+      icon: 'fas fa-ship',
+      weeks: 2,
+      topics: ['Images and layers'],
+      tools: ['Docker', 'Kubernetes']
+    };
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    test('should build a curriculum card from a module', () => {
+      const card = createCurriculumCard(module);
+
+      expect(card).toHaveClass('curriculum-card');
+      expect(card.querySelector('.card-icon i')).toHaveClass('fas', 'fa-ship');
+      expect(card.querySelector('h3').textContent).toBe('Containerization');
+      expect(card.querySelector('.card-weeks').textContent).toBe('2 weeks');
+      expect(card.querySelectorAll('.card-topics li')).toHaveLength(1);
+      expect(card.querySelectorAll('.tool-tag')).toHaveLength(2);
+    });
+
+    test('should not interpret content as HTML', () => {
+      const card = createBenefitItem({ title: '<img src=x onerror=alert(1)>', description: '', icon: 'fas fa-users' });
+
+      expect(card.querySelector('img')).toBeNull();
+      expect(card.querySelector('h3').textContent).toBe('<img src=x onerror=alert(1)>');
+    });
+
+    test('should render the grid from the API', async () => {
+      const grid = document.createElement('div');
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve([module, { ...module, title: 'Cloud Platforms' }])
+      });
+
+      const items = await renderContent(grid, '/api/curriculum', createCurriculumCard);
+
+      expect(global.fetch).toHaveBeenCalledWith('/api/curriculum', expect.any(Object));
+      expect(items).toHaveLength(2);
+      expect(grid.querySelectorAll('.curriculum-card')).toHaveLength(2);
+    });
+
+    test('should prefix API URLs with the mount path', () => {
+      expect(apiUrl('/api/curriculum')).toBe('/api/curriculum');
+
+      document.head.insertAdjacentHTML('beforeend', '<meta name="base-path" content="/showcase">');
+      expect(apiUrl('/api/curriculum')).toBe('/showcase/api/curriculum');
+    });
+
+    test('should show a fallback message when the API fails', async () => {
+      const grid = document.createElement('div');
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 500 });
+
+      const items = await renderContent(grid, '/api/benefits', createBenefitItem);
+
+      expect(items).toEqual([]);
+      expect(grid.querySelector('.content-error')).toBeTruthy();
+    });
+  });
+
+  describe('Cohort Banner', () => {
+    let banner;
+
+    const cohorts = list => jest.fn().mockResolvedValue({ ok: true, json: () => Promise.resolve(list) });
+
+    beforeEach(() => {
+      document.body.insertAdjacentHTML('beforeend', '<p class="hero-cohort" hidden></p>');
+      banner = document.querySelector('.hero-cohort');
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    test('should show the days to go and seats left of the next open cohort', async () => {
+      global.fetch = cohorts([
+        { id: '2026-10', status: 'in-progress', daysUntilStart: 0, seatsLeft: 3 },
+        { id: '2027-01', status: 'open', daysUntilStart: 12, seatsLeft: 5 }
+      ]);
+
+      const cohort = await renderCohortBanner(banner);
+
+      expect(cohort.id).toBe('2027-01');
+      expect(banner.hidden).toBe(false);
+      expect(banner.querySelector('.cohort-countdown').textContent).toBe('Next cohort starts in 12 days');
+      expect(banner.querySelector('.cohort-seats').textContent).toBe('5 seats left');
+      expect(banner.querySelector('.cohort-calendar').getAttribute('href')).toBe('/api/cohorts/2027-01.ics');
+    });
+
+    test('should use singular forms and point full cohorts to the waitlist', async () => {
+      global.fetch = cohorts([{ id: '2027-01', status: 'full', daysUntilStart: 1, seatsLeft: 0 }]);
+
+      await renderCohortBanner(banner);
+
+      expect(banner.querySelector('.cohort-countdown').textContent).toBe('Next cohort starts in 1 day');
+      expect(banner.querySelector('.cohort-full').textContent).toBe('Full: join the waitlist');
+    });
+
+    test('should leave the banner alone when no cohort is open or the request fails', async () => {
+      banner.textContent = 'Next cohort starts January 11, 2027';
+      global.fetch = cohorts([{ id: '2026-10', status: 'completed', daysUntilStart: 0 }]);
+
+      expect(await renderCohortBanner(banner)).toBeNull();
+
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 500 });
+
+      expect(await renderCohortBanner(banner)).toBeNull();
+      expect(banner.hidden).toBe(true);
+      expect(banner.textContent).toBe('Next cohort starts January 11, 2027');
+    });
+  });
+
+  describe('Localized Messages', () => {
+    const embedMessages = (messages) => {
+      document.body.insertAdjacentHTML('beforeend',
+        `<script type="application/json" id="i18n-messages">${JSON.stringify(messages)}</script>`);
+    };
+
+    afterEach(() => {
+      document.documentElement.removeAttribute('lang');
+      delete global.fetch;
+    });
+
+    test('should fall back to English without embedded messages', () => {
+      expect(message('enrollError')).toBe('Something went wrong. Please try again.');
+      expect(message('weeks', { count: 1 })).toBe('1 week');
+    });
+
+    test('should use the messages embedded in the page', () => {
+      document.documentElement.lang = 'fr';
+      embedMessages({ contentError: 'Section indisponible.', weeks: { one: '{count} semaine', other: '{count} semaines' } });
+
+      expect(message('contentError')).toBe('Section indisponible.');
+      expect(message('weeks', { count: 3 })).toBe('3 semaines');
+      expect(message('networkError')).toBe('Could not reach the server. Please check your connection and try again.');
+      expect(createCurriculumCard({ title: 'Docker', weeks: 1, icon: 'fas fa-ship' })
+        .querySelector('.card-weeks').textContent).toBe('1 semaine');
+    });
+
+    test('should pick plural forms and digits for the page locale', () => {
+      document.documentElement.lang = 'ar';
+      embedMessages({ weeks: { one: 'أسبوع واحد', two: 'أسبوعان', few: '{count} أسابيع', other: '{count} أسبوع' } });
+
+      expect(message('weeks', { count: 2 })).toBe('أسبوعان');
+      expect(message('weeks', { count: 3 })).toBe(`${new Intl.NumberFormat('ar').format(3)} أسابيع`);
+    });
+
+    test('should request API content in the page language', async () => {
+      document.documentElement.lang = 'fr';
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, json: () => Promise.resolve([]) });
+
+      await renderContent(document.createElement('div'), '/api/benefits', createBenefitItem);
+
+      expect(global.fetch).toHaveBeenCalledWith('/api/benefits', {
+        headers: { Accept: 'application/json', 'Accept-Language': 'fr' }
+      });
+    });
+  });
+
+  describe('Analytics', () => {
+    const events = () => navigator.sendBeacon.mock.calls.map(([url, body]) => ({ url, ...JSON.parse(body) }));
+
+    beforeEach(() => {
+      navigator.sendBeacon = jest.fn().mockReturnValue(true);
+    });
+
+    afterEach(() => {
+      delete navigator.sendBeacon;
+      delete navigator.doNotTrack;
+      delete navigator.globalPrivacyControl;
+    });
+
+    test('should send events as beacons to the events API', () => {
+      expect(trackEvent('cta', 'home')).toBe(true);
+
+      expect(events()).toEqual([{ url: '/api/events', type: 'cta', name: 'home' }]);
+    });
+
+    test.each([
+      ['Do Not Track', () => Object.defineProperty(navigator, 'doNotTrack', { value: '1', configurable: true })],
+      ['Global Privacy Control', () => Object.defineProperty(navigator, 'globalPrivacyControl', { value: true, configurable: true })],
+      ['the page turns analytics off', () => { document.body.dataset.analytics = 'off'; }]
+    ])('should send nothing when %s', (reason, optOut) => {
+      optOut();
+
+      expect(trackEvent('pageview', '/')).toBe(false);
+      expect(navigator.sendBeacon).not.toHaveBeenCalled();
+    });
+
+    test('should count each section once when it comes into view', () => {
+      const OriginalObserver = global.IntersectionObserver;
+      let callback;
+      const unobserved = [];
+      global.IntersectionObserver = class {
+        constructor(cb) {
+          callback = cb;
+        }
+
+        observe() {}
+
+        unobserve(el) {
+          unobserved.push(el.id);
+        }
+      };
+
+      try {
+        setupSectionTracking([...document.querySelectorAll('main section[id]')]);
+        callback([
+          { isIntersecting: false, target: document.getElementById('home') },
+          { isIntersecting: true, target: document.getElementById('curriculum') }
+        ]);
+
+        expect(events()).toEqual([{ url: '/api/events', type: 'section', name: 'curriculum' }]);
+        expect(unobserved).toEqual(['curriculum']);
+      } finally {
+        global.IntersectionObserver = OriginalObserver;
+      }
+    });
+
+    test('should report each scroll depth once', () => {
+      Object.defineProperty(document.documentElement, 'scrollHeight', { value: 4000, configurable: true });
+      const track = createScrollDepthTracker();
+
+      try {
+        window.innerHeight = 1000;
+        window.scrollY = 1100;
+        track();
+        track();
+        window.scrollY = 3000;
+        track();
+
+        expect(events().map(event => event.name)).toEqual(['25', '50', '75', '100']);
+      } finally {
+        delete document.documentElement.scrollHeight;
+        window.scrollY = 0;
+        window.innerHeight = 768;
+      }
+    });
+  });
+
+  describe('Service Worker Registration', () => {
+    afterEach(() => {
+      delete navigator.serviceWorker;
+    });
+
+    test('should resolve with null when service workers are unsupported', async () => {
+      await expect(registerServiceWorker()).resolves.toBeNull();
+    });
+
+    test('should register the worker for the whole app under its mount path', async () => {
+      const registration = { scope: '/showcase/' };
+      navigator.serviceWorker = { register: jest.fn().mockResolvedValue(registration) };
+      document.head.insertAdjacentHTML('beforeend', '<meta name="base-path" content="/showcase">');
+
+      await expect(registerServiceWorker()).resolves.toBe(registration);
+      expect(navigator.serviceWorker.register).toHaveBeenCalledWith('/showcase/sw.js', { scope: '/showcase/' });
+    });
+
+    test('should warn instead of failing when registration is rejected', async () => {
+      navigator.serviceWorker = { register: jest.fn().mockRejectedValue(new Error('insecure origin')) };
+
+      await expect(registerServiceWorker()).resolves.toBeNull();
+      expect(console.warn).toHaveBeenCalledWith('Service worker registration failed:', expect.any(Error));
+    });
+  });
+
+  describe('Service Worker', () => {
+    const fs = require('fs');
+    const path = require('path');
+    const source = fs.readFileSync(path.join(__dirname, '../public/sw.js'), 'utf8');
+    const ORIGIN = 'https://bootcamp.test';
+    const SCOPE = `${ORIGIN}/showcase/`;
+
+    const response = (body, ok = true, headers = {}) => ({
+      ok,
+      body,
+      headers: { get: name => headers[name] || null },
+      clone() { return this; }
+    });
+
+    // In-memory Cache Storage keyed by URL
+    const createCaches = () => {
+      const stores = new Map();
+      const key = request => (typeof request === 'string' ? request : request.url);
+      const open = async (name) => {
+        if (!stores.has(name)) {
+          stores.set(name, new Map());
+        }
+        const store = stores.get(name);
+        return {
+          addAll: async urls => urls.forEach(url => store.set(url, response(`precached ${url}`))),
+          put: async (request, res) => { store.set(key(request), res); },
+          match: async request => store.get(key(request))
+        };
+      };
+      return {
+        stores,
+        open,
+        keys: async () => [...stores.keys()],
+        delete: async name => stores.delete(name),
+        match: async (request) => {
+          for (const store of stores.values()) {
+            if (store.has(key(request))) {
+              return store.get(key(request));
+            }
+          }
+          return undefined;
+        }
+      };
+    };
+
+    const startWorker = ({ fetch = jest.fn() } = {}) => {
+      const listeners = {};
+      const worker = {
+        registration: { scope: SCOPE },
+        location: { origin: ORIGIN },
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        skipWaiting: jest.fn(),
+        clients: { claim: jest.fn() }
+      };
+      const caches = createCaches();
+      const precache = ['', 'offline.html', 'styles.0123456789.css'];
+
+      new Function('self', 'caches', 'fetch', 'PRECACHE', 'VERSION', source)(worker, caches, fetch, precache, 'v2');
+
+      const dispatch = (type, fields = {}) => {
+        const event = {
+          ...fields,
+          waitUntil(promise) { this.waiting = promise; },
+          respondWith(promise) { this.response = promise; }
+        };
+        listeners[type](event);
+        return event;
+      };
+
+      return { worker, caches, fetch, dispatch };
+    };
+
+    const request = (url, { method = 'GET', mode = 'cors', cache = 'default' } = {}) => ({ url, method, mode, cache });
+
+    test('should precache the app shell relative to its scope on install', async () => {
+      const { worker, caches, dispatch } = startWorker();
+
+      await dispatch('install').waiting;
+
+      expect([...caches.stores.get('showcase-precache-v2').keys()]).toEqual([
+        `${SCOPE}`,
+        `${SCOPE}offline.html`,
+        `${SCOPE}styles.0123456789.css`
+      ]);
+      expect(worker.skipWaiting).toHaveBeenCalled();
+    });
+
+    test('should drop precaches of older versions on activate', async () => {
+      const { caches, dispatch } = startWorker();
+      await caches.open('showcase-precache-v1');
+      await caches.open('showcase-runtime');
+      await dispatch('install').waiting;
+
+      await dispatch('activate').waiting;
+
+      expect([...caches.stores.keys()].sort()).toEqual(['showcase-precache-v2', 'showcase-runtime']);
+    });
+
+    test('should fall back to the offline page for uncached pages', async () => {
+      const fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+      const { dispatch } = startWorker({ fetch });
+      await dispatch('install').waiting;
+
+      const home = await dispatch('fetch', { request: request(SCOPE, { mode: 'navigate' }) }).response;
+      const other = await dispatch('fetch', { request: request(`${SCOPE}elsewhere`, { mode: 'navigate' }) }).response;
+
+      expect(home.body).toBe(`precached ${SCOPE}`);
+      expect(other.body).toBe(`precached ${SCOPE}offline.html`);
+    });
+
+    test('should answer API requests from the cache and refresh them in the background', async () => {
+      const fetch = jest.fn()
+        .mockResolvedValueOnce(response('first'))
+        .mockResolvedValueOnce(response('second'))
+        .mockResolvedValueOnce(response('third'));
+      const { dispatch } = startWorker({ fetch });
+      const api = request(`${SCOPE}api/curriculum`);
+
+      expect((await dispatch('fetch', { request: api }).response).body).toBe('first');
+
+      const event = dispatch('fetch', { request: api });
+      expect((await event.response).body).toBe('first');
+      await event.waiting;
+      expect((await dispatch('fetch', { request: api }).response).body).toBe('second');
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('should never answer no-store API requests from the cache', async () => {
+      const fetch = jest.fn()
+        .mockResolvedValueOnce(response('token 1', true, { 'Cache-Control': 'no-store' }))
+        .mockResolvedValueOnce(response('token 2', true, { 'Cache-Control': 'no-store' }));
+      const { caches, dispatch } = startWorker({ fetch });
+      const token = request(`${SCOPE}api/contact/token`);
+
+      expect((await dispatch('fetch', { request: token }).response).body).toBe('token 1');
+      expect((await dispatch('fetch', { request: token }).response).body).toBe('token 2');
+      expect(await caches.match(token)).toBeUndefined();
+      expect(dispatch('fetch', { request: request(`${SCOPE}api/contact/token`, { cache: 'no-store' }) }).response).toBeUndefined();
+    });
+
+    test('should leave writes and cross-origin requests to the network', () => {
+      const { dispatch } = startWorker();
+
+      expect(dispatch('fetch', { request: request(`${SCOPE}api/enrollments`, { method: 'POST' }) }).response).toBeUndefined();
+      expect(dispatch('fetch', { request: request('https://elsewhere.test/x.js') }).response).toBeUndefined();
+    });
+  });
+
+  describe('Error Page', () => {
+    const fs = require('fs');
+    const path = require('path');
+    const errorScript = fs.readFileSync(path.join(__dirname, '../public/404.js'), 'utf8');
+
+    // Run the script and its DOMContentLoaded handler against the current page
+    const runErrorScript = () => {
+      const addEventListener = jest.spyOn(document, 'addEventListener').mockImplementation(() => {});
+      new Function(errorScript)();
+      const [[, onReady]] = addEventListener.mock.calls;
+      addEventListener.mockRestore();
+      onReady();
+    };
+    const logged = () => console.log.mock.calls.map(args => args.join(' ')).join('\n');
+
+    test('should only report a missing page on 404s', () => {
+      document.body.innerHTML = '<main class="error-page" data-status="500"><div class="error-content"></div></main>';
+      runErrorScript();
+      expect(logged()).toContain('500 Error Detected');
+      expect(logged()).not.toContain('404');
+
+      console.log.mockClear();
+      document.body.innerHTML = '<main class="error-page"><div class="error-content"></div></main>';
+      runErrorScript();
+      expect(logged()).toContain('404 Error Detected');
+    });
+  });
+
   describe('Hero Title Typing Effect', () => {
     test('should find hero title element', () => {
       const heroTitle = document.querySelector('.hero-title');
@@ -244,35 +1108,97 @@ describe('Client-side JavaScript Tests', () => {
       expect(statNumbers.length).toBe(3);
     });
 
+    const createStat = (attributes) => {
+      const stat = document.createElement('span');
+      stat.className = 'stat-number';
+      Object.entries(attributes).forEach(([key, value]) => {
+        stat.setAttribute(`data-${key}`, value);
+      });
+      return stat;
+    };
+
+    afterEach(() => {
+      delete window.matchMedia;
+      document.documentElement.removeAttribute('lang');
+    });
+
     test('should animate counter values', () => {
       const statElement = document.querySelector('.stat-number');
-      const targetValue = 95;
-      
-      // Mock counter animation
-      const animateCounter = (element, target) => {
-        let current = 0;
-        const increment = target / 50;
-        
-        const timer = setInterval(() => {
-          current += increment;
-          if (current >= target) {
-            current = target;
-            clearInterval(timer);
-          }
-          element.textContent = Math.floor(current) + '%';
-        }, 50);
-        
-        return timer;
-      };
-      
-      const timer = animateCounter(statElement, targetValue);
+      statElement.dataset.target = '95';
+      statElement.dataset.suffix = '%';
+
+      const timer = animateCounter(statElement);
       expect(timer).toBeDefined();
-      
+
       // Fast-forward timers
       jest.advanceTimersByTime(50 * 50); // 50 steps * 50ms
       expect(statElement.textContent).toBe('95%');
-      
-      clearInterval(timer);
+    });
+
+    test.each([
+      [{ target: '7' }, '7'],
+      [{ target: '250', prefix: '$', suffix: 'k' }, '$250k'],
+      [{ target: '1500', suffix: '+' }, '1,500+'],
+      [{ target: '4.8', decimals: '1', suffix: '/5' }, '4.8/5'],
+      [{ target: '0' }, '0']
+    ])('should count up to arbitrary target %j', (attributes, expected) => {
+      const stat = createStat(attributes);
+
+      animateCounter(stat);
+      jest.advanceTimersByTime(2500);
+
+      expect(stat.textContent).toBe(expected);
+    });
+
+    test('should show intermediate values without overshooting', () => {
+      const stat = createStat({ target: '200', duration: '1000' });
+
+      animateCounter(stat);
+      jest.advanceTimersByTime(500);
+
+      expect(Number(stat.textContent)).toBeGreaterThan(0);
+      expect(Number(stat.textContent)).toBeLessThan(200);
+
+      jest.advanceTimersByTime(500);
+      expect(stat.textContent).toBe('200');
+    });
+
+    test('should honor data-duration', () => {
+      const stat = createStat({ target: '40', duration: '500' });
+
+      animateCounter(stat);
+      jest.advanceTimersByTime(500);
+
+      expect(stat.textContent).toBe('40');
+    });
+
+    test('should leave stats without a numeric target untouched', () => {
+      const stat = createStat({});
+      stat.textContent = '24/7';
+
+      expect(animateCounter(stat)).toBeNull();
+      jest.advanceTimersByTime(2500);
+      expect(stat.textContent).toBe('24/7');
+    });
+
+    test('should jump straight to the target when reduced motion is preferred', () => {
+      window.matchMedia = jest.fn().mockReturnValue({ matches: true });
+      const stat = createStat({ target: '95', suffix: '%' });
+
+      expect(animateCounter(stat)).toBeNull();
+      expect(stat.textContent).toBe('95%');
+      expect(window.matchMedia).toHaveBeenCalledWith('(prefers-reduced-motion: reduce)');
+    });
+
+    test('should format numbers for the page locale', () => {
+      document.documentElement.lang = 'de';
+
+      expect(formatStat(1234.5, { prefix: '', suffix: '', decimals: 1, locale: 'de' })).toBe('1.234,5');
+
+      const stat = createStat({ target: '1234' });
+      animateCounter(stat);
+      jest.advanceTimersByTime(2500);
+      expect(stat.textContent).toBe('1.234');
     });
   });
 
@@ -1,7 +1,14 @@
 const request = require('supertest');
+const express = require('express');
 const app = require('../server');
+const { createApp } = require('../server');
+const { loadConfig } = require('../lib/config');
 const fs = require('fs');
 const path = require('path');
+const { JSDOM } = require('jsdom');
+const axe = require('axe-core');
+const { createStore } = require('../lib/store');
+const { createUserStore } = require('../lib/auth');
 
 describe('Integration Tests', () => {
   describe('Full Application Flow', () => {
@@ -15,12 +22,12 @@ describe('Integration Tests', () => {
       
       // Test that the HTML contains expected content
       expect(mainResponse.text).toContain('DevOps Bootcamp');
-      expect(mainResponse.text).toContain('script.js');
-      expect(mainResponse.text).toContain('styles.css');
+      expect(mainResponse.text).toMatch(/script\.[0-9a-f]{10}\.js/);
+      expect(mainResponse.text).toMatch(/styles\.[0-9a-f]{10}\.css/);
     });
 
     test('should serve all static assets correctly', async () => {
-      const assets = ['index.html', 'styles.css', 'script.js', '404.html'];
+      const assets = ['index.html', 'styles.css', 'script.js', '404.html', '404.js'];
       
       for (const asset of assets) {
         const response = await request(app)
@@ -32,20 +39,17 @@ describe('Integration Tests', () => {
     });
 
     test('should handle health check in production-like environment', async () => {
-      // Set NODE_ENV to production
-      const originalEnv = process.env.NODE_ENV;
-      process.env.NODE_ENV = 'production';
+      // Build a separate app with production config instead of mutating process.env
+      const productionApp = createApp({ config: loadConfig({ overrides: { env: 'production' } }) });
       
-      const response = await request(app)
+      const response = await request(productionApp)
         .get('/health')
         .expect(200);
       
       expect(response.body.status).toBe('OK');
       expect(response.body.timestamp).toBeDefined();
       expect(response.body.uptime).toBeDefined();
-      
-      // Restore original environment
-      process.env.NODE_ENV = originalEnv;
+      expect(response.headers['strict-transport-security']).toBeDefined();
     });
   });
 
@@ -102,8 +106,8 @@ describe('Integration Tests', () => {
       
       const html = response.text;
       
-      expect(html).toContain('styles.css');
-      expect(html).toContain('script.js');
+      expect(html).toMatch(/styles\.[0-9a-f]{10}\.css/);
+      expect(html).toMatch(/script\.[0-9a-f]{10}\.js/);
     });
   });
 
@@ -184,6 +188,207 @@ describe('Integration Tests', () => {
     });
   });
 
+  describe('Embedded in a Gateway', () => {
+    let gateway;
+
+    beforeAll(() => {
+      const showcase = createApp({
+        config: loadConfig({ overrides: { logLevel: 'silent' } })
+      });
+
+      gateway = express();
+      gateway.get('/', (req, res) => res.send('gateway home'));
+      gateway.use('/showcase', showcase);
+    });
+
+    test('should render the landing page with mount-relative asset and API paths', async () => {
+      const response = await request(gateway)
+        .get('/showcase/')
+        .expect(200);
+
+      expect(response.text).toMatch(/href="\/showcase\/styles\.[0-9a-f]{10}\.css"/);
+      expect(response.text).toMatch(/src="\/showcase\/script\.[0-9a-f]{10}\.js"/);
+      expect(response.text).toContain('<meta name="base-path" content="/showcase">');
+    });
+
+    test('should serve assets, API and probes under the mount path', async () => {
+      await request(gateway).get('/showcase/styles.css').expect(200);
+      await request(gateway).get('/showcase/api/benefits').expect(200);
+
+      const ready = await request(gateway).get('/showcase/health/ready').expect(200);
+      expect(ready.headers['ratelimit-limit']).toBeUndefined();
+
+      const response = await request(gateway).get('/showcase/');
+      expect(response.headers['content-security-policy']).toContain('report-uri /showcase/csp-report');
+
+      const worker = await request(gateway).get('/showcase/sw.js').expect(200);
+      expect(worker.headers['service-worker-allowed']).toBe('/showcase/');
+    });
+
+    test('should negotiate errors relative to the mount path', async () => {
+      const response = await request(gateway)
+        .get('/showcase/api/nope')
+        .expect(404);
+
+      expect(response.headers['content-type']).toMatch(/application\/problem\+json/);
+      expect(response.body.instance).toBe('/showcase/api/nope');
+    });
+
+    test('should leave the gateway routes alone', async () => {
+      const response = await request(gateway).get('/').expect(200);
+
+      expect(response.text).toBe('gateway home');
+    });
+  });
+
+  describe('Offline Operation', () => {
+    const EXTERNAL = /^(https?:)?\/\//;
+    // Requests are sent with this host, so absolute links back to the app
+    // (canonical and hreflang links) resolve to it
+    const ORIGIN = 'http://localhost';
+
+    // Resource URLs a page or stylesheet loads, resolved against its own URL;
+    // only other origins are left absolute
+    const references = (url, body) => {
+      const found = [
+        ...[...body.matchAll(/\b(?:src|href)="([^"]*)"/g)].map(match => match[1]),
+        ...[...body.matchAll(/url\(['"]?([^'")]+)['"]?\)/g)].map(match => match[1])
+      ];
+      return found
+        .filter(ref => !/^(#|mailto:|tel:|data:)/.test(ref))
+        .map(ref => new URL(ref, `${ORIGIN}${url}`))
+        .map(resolved => (resolved.origin === ORIGIN ? resolved.pathname : resolved.href));
+    };
+
+    const fetchAll = async (urls, seen = new Map()) => {
+      for (const url of urls) {
+        if (seen.has(url) || EXTERNAL.test(url)) {
+          continue;
+        }
+        const response = await request(app).get(url).set('Accept', 'text/html').set('Host', 'localhost');
+        seen.set(url, response);
+        if (/text\/(html|css)/.test(response.headers['content-type'])) {
+          await fetchAll(references(url, response.text), seen);
+        }
+      }
+      return seen;
+    };
+
+    test('should not reference any external origin from pages or stylesheets', async () => {
+      const pages = ['/', '/index.html', '/404.html', '/missing-page'];
+      const responses = await fetchAll(pages);
+
+      for (const [url, response] of responses) {
+        if (/text\/(html|css)/.test(response.headers['content-type'])) {
+          expect({ url, external: references(url, response.text).filter(ref => EXTERNAL.test(ref)) })
+            .toEqual({ url, external: [] });
+        }
+      }
+    });
+
+    test('should serve every font, icon, stylesheet and script the pages load', async () => {
+      const responses = await fetchAll(['/', '/index.html', '/404.html']);
+      const assets = [...responses.keys()].filter(url => !['/', '/index.html', '/404.html'].includes(url));
+
+      expect(assets).toEqual(expect.arrayContaining([
+        expect.stringMatching(/^\/vendor\/vendor\.[0-9a-f]{10}\.css$/),
+        expect.stringMatching(/^\/vendor\/fonts\/inter-latin-wght-normal\.[0-9a-f]{10}\.woff2$/),
+        expect.stringMatching(/^\/vendor\/icons\/rocket\.[0-9a-f]{10}\.svg$/)
+      ]));
+      assets.forEach((url) => {
+        expect({ url, status: responses.get(url).status }).toEqual({ url, status: 200 });
+      });
+    });
+
+    test('should ship an icon for every icon class in the markup and content', () => {
+      const vendorCss = fs.readFileSync(path.join(__dirname, '../public/vendor/vendor.css'), 'utf8');
+      const sources = [
+        ...['views/index.ejs', 'views/error.ejs', 'public/index.html', 'public/404.html', 'public/script.js'],
+        ...fs.readdirSync(path.join(__dirname, '../content')).map(file => `content/${file}`)
+      ];
+
+      const used = new Set(sources.flatMap(file => (
+        fs.readFileSync(path.join(__dirname, '..', file), 'utf8').match(/\bfa-[a-z0-9-]+/g) || []
+      )));
+
+      expect(used.size).toBeGreaterThan(0);
+      used.forEach((className) => {
+        expect(vendorCss).toContain(`.${className} {`);
+      });
+    });
+  });
+
+  describe('Accessibility', () => {
+    // Run axe-core against a page loaded into jsdom. jsdom does no layout, so
+    // contrast is checked by eye; everything else axe knows about is checked
+    const audit = async (html) => {
+      const dom = new JSDOM(html, { runScripts: 'outside-only' });
+      dom.window.eval(axe.source);
+      const results = await dom.window.axe.run(dom.window.document, {
+        rules: { 'color-contrast': { enabled: false } }
+      });
+      dom.window.close();
+      return results.violations.map(({ id, nodes }) => ({ id, nodes: nodes.map(node => node.html) }));
+    };
+    // A full audit of the home page takes several seconds on a slow machine
+    const AUDIT_TIMEOUT_MS = 20000;
+
+    test.each([
+      ['the home page', '/'],
+      ['the home page in Arabic', '/?lang=ar'],
+      ['the static home page', '/index.html'],
+      ['the rendered 404 page', '/missing-page'],
+      ['the static 404 page', '/404.html'],
+      ['the offline page', '/offline.html'],
+      ['the admin sign-in page', '/admin/login']
+    ])('should have no axe violations on %s', async (name, url) => {
+      const response = await request(app).get(url).set('Accept', 'text/html');
+
+      expect(await audit(response.text)).toEqual([]);
+    }, AUDIT_TIMEOUT_MS);
+
+    test('should have no axe violations with the enrollment modal open', async () => {
+      const response = await request(app).get('/');
+
+      expect(await audit(response.text.replace(/(id="enroll-modal"[^>]*) hidden>/, '$1>'))).toEqual([]);
+    }, AUDIT_TIMEOUT_MS);
+
+    describe('signed in to the admin dashboard', () => {
+      const agent = request.agent(app);
+
+      beforeAll(async () => {
+        await createUserStore(createStore(process.env.DATA_DIR)).add('auditor', 'correct horse battery staple');
+        const login = await agent.get('/admin/login');
+        await agent
+          .post('/admin/login')
+          .type('form')
+          .send({
+            _csrf: login.text.match(/name="_csrf" value="([^"]+)"/)[1],
+            username: 'auditor',
+            password: 'correct horse battery staple'
+          })
+          .expect(302);
+      });
+
+      test.each(['/admin/leads', '/admin/content/benefits', '/admin/content/stats'])('should have no axe violations on %s', async (url) => {
+        const response = await agent.get(url).expect(200);
+
+        expect(await audit(response.text)).toEqual([]);
+      }, AUDIT_TIMEOUT_MS);
+    });
+
+    test('should start every page with a skip link to the main landmark', async () => {
+      for (const url of ['/', '/index.html']) {
+        const { window } = new JSDOM((await request(app).get(url)).text);
+        const skipLink = window.document.querySelector('body > a');
+
+        expect(skipLink.getAttribute('href')).toBe('#main');
+        expect(window.document.querySelector('main#main')).not.toBeNull();
+        window.close();
+      }
+    });
+  });
+
   describe('File System Integration', () => {
     test('should serve files that actually exist', async () => {
       const publicDir = path.join(__dirname, '../public');
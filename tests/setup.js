@@ -1,5 +1,11 @@
 // Test setup file for Jest
 require('@testing-library/jest-dom');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the JSON data store out of the working tree
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-bootcamp-'));
 
 // Mock console methods to avoid noise in tests
 global.console = {